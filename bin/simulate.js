@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// bin/simulate.js
+// Headless runner: reads a scenario JSON and writes the year-by-year history to stdout.
+//
+//   node bin/simulate.js scenarios/example.json --format csv
+//   cat scenario.json | node bin/simulate.js - --years 40 --seed 7
+//
+// Scenario fields are all optional (defaults match the UI); the README's
+// "Command-line runner" section lists them.
+// Manual mode stops at the first year Liquid Funds can't cover the expense.
+// A scenario file exported from the app's Scenarios tab also works; its saved
+// simulation progress is ignored and the run starts from year 1.
+
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { historyTable, toCsv } from "../src/engine/historyExport.js";
+import { SCENARIO_FILE_FORMAT, parseScenarioFile } from "../src/engine/scenarioFile.js";
+import { createScenario, runSimulation, validateScenario } from "../src/engine/simulation.js";
+
+const USAGE = `Usage: node bin/simulate.js <scenario.json | -> [--format csv|json] [--years N] [--seed S]`;
+const DEFAULT_YEARS = 30;
+
+function fail(message) {
+  process.stderr.write(`${message}\n`);
+  process.exit(1);
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: "string", default: "csv" },
+        years: { type: "string" },
+        seed: { type: "string" },
+        help: { type: "boolean", short: "h" }
+      }
+    });
+  } catch (err) {
+    fail(`${err.message}\n${USAGE}`);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+  if (positionals.length !== 1) fail(USAGE);
+  if (values.format !== "csv" && values.format !== "json") fail(`Unknown format "${values.format}" (expected csv or json)`);
+
+  let input;
+  try {
+    input = JSON.parse(readFileSync(positionals[0] === "-" ? 0 : positionals[0], "utf8"));
+  } catch (err) {
+    fail(`Could not read scenario: ${err.message}`);
+  }
+  if (input === null || typeof input !== "object" || Array.isArray(input)) {
+    fail(`Scenario must be a JSON object\n${USAGE}`);
+  }
+  if (input.format === SCENARIO_FILE_FORMAT) {
+    try {
+      input = parseScenarioFile(input).scenario;
+    } catch (err) {
+      fail(err.message);
+    }
+  }
+
+  const { years: scenarioYears, ...rest } = input;
+  const scenario = createScenario(values.seed !== undefined ? { ...rest, seed: values.seed } : rest);
+  const years = Number(values.years ?? scenarioYears ?? DEFAULT_YEARS);
+  const errors = validateScenario(scenario);
+  if (!Number.isInteger(years) || years < 1) errors.push("Years must be a whole number >= 1");
+  if (errors.length) fail(errors.join("\n"));
+
+  const result = runSimulation(scenario, years);
+  if (result.stoppedAt !== null) {
+    process.stderr.write(`Stopped in year ${result.stoppedAt}: Liquid Funds cannot cover the expense and manual mode needs a transfer.\n`);
+  }
+
+  if (values.format === "json") {
+    process.stdout.write(JSON.stringify({ seed: result.seed, history: result.history }, null, 2) + "\n");
+  } else {
+    process.stdout.write(toCsv(historyTable(scenario.buckets, result.history)));
+  }
+}
+
+main();
@@ -1,5 +1,5 @@
 // src/App.jsx
-import React, { useState, useMemo } from "react";
+import React, { useState, useMemo, useEffect, useRef } from "react";
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -11,6 +11,46 @@ import {
   Legend
 } from "chart.js";
 import { Line } from "react-chartjs-2";
+import { normalizeSeed, randomSeed } from "./engine/random.js";
+import {
+  DEFAULT_SCENARIO,
+  createScenario,
+  expenseForState,
+  validateScenario,
+  startSimulation as engineStart,
+  stepYear,
+  transferFunds as engineTransfer
+} from "./engine/simulation.js";
+import { DEFAULT_STOP_CONDITIONS, playForward, validateStopConditions } from "./engine/autoPlay.js";
+import { addBucket, newBucket, removeBucket } from "./engine/buckets.js";
+import { historyTable, scenarioSummary, toCsv } from "./engine/historyExport.js";
+import { startPriceIndex } from "./engine/inflation.js";
+import { describeTransfer } from "./engine/ledger.js";
+import { decodeShareLink, encodeShareLink } from "./engine/shareLink.js";
+import { describeRuleEvent } from "./engine/refillRules.js";
+import { pushSnapshot, reseedState, snapshotAtYear } from "./engine/timeline.js";
+import { xlsxFile } from "./engine/xlsx.js";
+import AllocationOptimizer from "./components/AllocationOptimizer.jsx";
+import AutoPlayControls from "./components/AutoPlayControls.jsx";
+import BacktestPanel from "./components/BacktestPanel.jsx";
+import CashFlowEditor from "./components/CashFlowEditor.jsx";
+import ComparePanel from "./components/ComparePanel.jsx";
+import StressTestPanel from "./components/StressTestPanel.jsx";
+import CorrelationEditor from "./components/CorrelationEditor.jsx";
+import GoalSeekPanel from "./components/GoalSeekPanel.jsx";
+import InflationModelEditor from "./components/InflationModelEditor.jsx";
+import LedgerDetails from "./components/LedgerDetails.jsx";
+import MetricsPanel from "./components/MetricsPanel.jsx";
+import MonteCarloPanel from "./components/MonteCarloPanel.jsx";
+import RefillRulesEditor from "./components/RefillRulesEditor.jsx";
+import ScenarioManager from "./components/ScenarioManager.jsx";
+import SpendingRuleEditor from "./components/SpendingRuleEditor.jsx";
+import ReturnModelEditor from "./components/ReturnModelEditor.jsx";
+import TaxSettingsEditor from "./components/TaxSettingsEditor.jsx";
+import { bucketColor } from "./components/bucketColors.js";
+import { corpusChartOptions, lineDataset, markerDataset } from "./components/chartStyles.js";
+import { downloadBlob } from "./components/download.js";
+import { chartImage, openPrintReport } from "./components/printReport.js";
 
 ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend);
 
@@ -22,63 +62,202 @@ ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, T
  *
  * Behaviour:
  * - Inputs tab: set corpus, first-year expense, inflation, mode (auto/manual),
- *   allocation %, avg return %, volatility % (for each bucket).
- * - Start -> initializes balances
+ *   allocation %, avg return %, volatility % (for each bucket). Buckets can be
+ *   added, removed and renamed; the correlation matrix follows the bucket list
+ *   and is editable (presets, positive-definiteness check and repair).
+ * - Start -> initializes balances and a seeded random generator (same seed +
+ *   inputs => same year-by-year returns, so a run can be replayed exactly)
  * - Next Year -> apply random returns, then withdraw expenses from Bucket1.
- *     * Auto mode: pull from other buckets automatically
+ *     * Auto mode: pull from other buckets automatically, then apply the refill
+ *       rules (presets or a custom list); rules that fired are logged per year
  *     * Manual mode: if Bucket1 short, simulation pauses and creates a pendingYear.
  *       User must perform transfer(s) to proceed (transfer UI below).
- * - Each row stored in `history` contains: year, returnsAmt[], endValues[], total.
+ * - Play steps a year at a time up to year N and "Run to year" jumps there, both
+ *   stopping early on the chosen stop conditions (src/engine/autoPlay.js); a
+ *   depleted corpus is flagged instead of quietly adding years of zeros.
+ * - Undo reverts the last step; ↺ on a history row rewinds to that year and branches from
+ *   there, replaying the same returns (or, optionally, fresh ones).
+ * - Each row stored in `history` contains: year, returnsPct[], returnsAmt[], endValues[], total,
+ *   expense, withdrawals[], transfers[], ruleEvents[] (see src/engine/simulation.js for the rest).
+ *   ▸ on a row expands its ledger (src/engine/ledger.js), reconciling each bucket's
+ *   end value with the year before; manual transfers are also marked on the chart.
+ * - Outcome metrics (src/engine/metrics.js) above the cards: depletion, minimum and final
+ *   corpus, CAGR, drawdown, withdrawals and how long the corpus lasts at the current expense.
+ * - Goal seek (Inputs tab): the largest first-year expense or smallest corpus that meets a
+ *   target Monte Carlo success rate, with a confidence band (src/engine/goalSeek.js).
+ * - Allocation optimiser (Inputs tab): searches allocations within per-bucket bounds for the
+ *   best success rate or median final corpus and plots risk against outcome (src/engine/optimizer.js).
+ * - Backtest tab: replays bundled historical Indian returns for every start year.
+ * - Compare tab: two to four variants run on the same return path, overlaid.
+ * - Stress tab: forces preset or custom shocks into chosen years and reports how
+ *   they move the depletion year and final corpus against the unstressed run.
+ * - Scenarios tab: named scenarios (optionally with the run in progress) saved to
+ *   localStorage, plus JSON export/import.
+ * - Monte Carlo panel (Simulation tab) runs many lifetimes with the Auto-mode
+ *   waterfall and plots a percentile fan chart.
+ *
+ * The simulation itself (returns, withdrawals, transfers) lives in the
+ * framework-free src/engine/ modules; this component only holds UI state.
  */
 
-const DEFAULT_BUCKETS = [
-  { name: "Liquid Funds", allocation: 10, avgReturn: 4, volatility: 1 },
-  { name: "Debt Funds", allocation: 40, avgReturn: 7, volatility: 2 },
-  { name: "Commodities (Gold/Silver)", allocation: 10, avgReturn: 8, volatility: 5 },
-  { name: "Equity Large Cap", allocation: 25, avgReturn: 12, volatility: 15 },
-  { name: "Equity Small/Mid Cap", allocation: 15, avgReturn: 16, volatility: 25 }
-];
+// shared empty array so derived values keep a stable identity before Start
+const NONE = [];
+
+// Inputs-tab bucket rows: name, allocation, avg return, volatility, remove button
+const BUCKET_ROW_COLUMNS = "2fr 1fr 1fr 1fr auto";
+
+// Input display values for a scenario (strings, so fields can be left empty)
+function inputValuesFor(scenario) {
+  return {
+    corpus: String(scenario.corpus / 100000),
+    firstYearExpenses: String(scenario.firstYearExpenses / 100000),
+    inflation: String(scenario.inflation),
+    seed: String(scenario.seed),
+    allocations: scenario.buckets.map(b => String(b.allocation)),
+    avgReturns: scenario.buckets.map(b => String(b.avgReturn)),
+    volatilities: scenario.buckets.map(b => String(b.volatility))
+  };
+}
+
+// Line chart of the total and each bucket over the years (deflated to today's rupees when `real`)
+function corpusChartData(history, buckets, real) {
+  if (!history || history.length === 0) return null;
+  const labels = history.map(r => `Year ${r.year}`);
+
+  const datasets = [
+    // Total corpus line (white - completely distinct from cards)
+    lineDataset("Total Corpus", history.map(r => (real ? r.total / r.priceIndex : r.total)), "#FFFFFF", true),
+    // Individual buckets - matching card colors
+    ...buckets.map((b, idx) => lineDataset(
+      b.name,
+      history.map(r => (real ? r.endValues[idx] / r.priceIndex : r.endValues[idx])),
+      bucketColor(idx).hex
+    ))
+  ];
+  // Manual transfers marked on the total line, described in the tooltip
+  if (history.some(r => r.transfers.length)) {
+    datasets.push(markerDataset(
+      "Manual transfers",
+      history.map(r => (r.transfers.length ? (real ? r.total / r.priceIndex : r.total) : null)),
+      "#F87171",
+      history.map(r => r.transfers.map(t => describeTransfer(t, buckets)))
+    ));
+  }
+  return { labels, datasets };
+}
 
 export default function App() {
   // UI tabs
   const [tab, setTab] = useState("inputs");
 
+  // A share link in the URL (see src/engine/shareLink.js) replaces the defaults
+  const [linked] = useState(() => decodeShareLink(window.location.hash));
+  const [linkError, setLinkError] = useState(linked.error || null);
+  const initial = linked.scenario || DEFAULT_SCENARIO;
+
   // Inputs (defaults set as requested)
-  const [corpus, setCorpus] = useState(200 * 100000); // ₹200 lakh
-  const [firstYearExpenses, setFirstYearExpenses] = useState(3 * 100000); // ₹3 lakh
-  const [inflation, setInflation] = useState(6); // %
-  const [modeManual, setModeManual] = useState(false); // manual transfer toggle
-  const [buckets, setBuckets] = useState(DEFAULT_BUCKETS);
-
-  // Simulation state
-  const [balances, setBalances] = useState([]); // current balances array (numbers)
-  const [history, setHistory] = useState([]); // rows for the table
-  const [year, setYear] = useState(0); // completed years
-  const [pendingYear, setPendingYear] = useState(null); // when manual transfer required
+  const [corpus, setCorpus] = useState(initial.corpus); // ₹200 lakh
+  const [firstYearExpenses, setFirstYearExpenses] = useState(initial.firstYearExpenses); // ₹3 lakh
+  const [inflation, setInflation] = useState(initial.inflation); // %
+  const [modeManual, setModeManual] = useState(initial.mode === "manual"); // manual transfer toggle
+  const [buckets, setBuckets] = useState(initial.buckets);
+  const [correlationMatrix, setCorrelationMatrix] = useState(initial.correlationMatrix);
+  const [newBucketLike, setNewBucketLike] = useState(""); // "" => uncorrelated, else bucket index
+  const [seed, setSeed] = useState(() => (linked.scenario ? linked.scenario.seed : randomSeed()));
+  const [refillRules, setRefillRules] = useState(DEFAULT_SCENARIO.refillRules);
+  const [returnModel, setReturnModel] = useState(DEFAULT_SCENARIO.returnModel);
+  const [tax, setTax] = useState(DEFAULT_SCENARIO.tax);
+  const [spending, setSpending] = useState(DEFAULT_SCENARIO.spending);
+  const [cashFlows, setCashFlows] = useState(DEFAULT_SCENARIO.cashFlows);
+  const [inflationModel, setInflationModel] = useState(DEFAULT_SCENARIO.inflationModel);
+
+  // Simulation state (see src/engine/simulation.js): balances, history, year, pendingYear, seed
+  const [sim, setSim] = useState(null);
+  const balances = sim ? sim.balances : NONE; // current balances array (numbers)
+  const history = sim ? sim.history : NONE; // rows for the table
+  const year = sim ? sim.year : 0; // completed years
+  const pendingYear = sim ? sim.pendingYear : null; // when manual transfer required
+
+  // History rows expanded to show their ledger
+  const [expandedYears, setExpandedYears] = useState(() => new Set());
+
+  // Earlier simulation states for undo and rewind (see src/engine/timeline.js)
+  const [past, setPast] = useState(NONE);
+  const [replayReturns, setReplayReturns] = useState(true); // rewound years redraw the same returns
+
+  // Auto-play and "run to year N" (see src/engine/autoPlay.js)
+  const [playing, setPlaying] = useState(false);
+  const [playSpeed, setPlaySpeed] = useState(2); // years per second
+  const [targetYear, setTargetYear] = useState("30");
+  const [stopConditions, setStopConditions] = useState(DEFAULT_STOP_CONDITIONS);
+  const [playStatus, setPlayStatus] = useState(null); // why play last stopped
 
   // Transfer UI state
   const [transferFrom, setTransferFrom] = useState(1); // default: from bucket 2
   const [transferTo, setTransferTo] = useState(0); // to bucket 1
   const [transferAmount, setTransferAmount] = useState("");
 
+  // Show amounts in today's rupees (deflated by the price index) instead of nominal
+  const [realView, setRealView] = useState(false);
+
   // Input display states to handle empty vs zero values
-  const [inputValues, setInputValues] = useState({
-    corpus: "200",
-    firstYearExpenses: "3", 
-    inflation: "6",
-    allocations: ["10", "40", "10", "25", "15"],
-    avgReturns: ["4", "7", "8", "12", "16"],
-    volatilities: ["1", "2", "5", "15", "25"]
-  });
+  const [inputValues, setInputValues] = useState(() => inputValuesFor({ ...initial, seed }));
 
   // helper: allocation sum validation
   const allocationSum = useMemo(() => buckets.reduce((s, b) => s + Number(b.allocation || 0), 0), [buckets]);
 
-  
+  // Engine scenario built from the current inputs
+  const scenario = useMemo(() => createScenario({
+    corpus,
+    firstYearExpenses,
+    inflation,
+    mode: modeManual ? "manual" : "auto",
+    seed,
+    buckets,
+    correlationMatrix,
+    refillRules,
+    returnModel,
+    tax,
+    spending,
+    cashFlows,
+    inflationModel
+  }), [corpus, firstYearExpenses, inflation, modeManual, seed, buckets, correlationMatrix, refillRules, returnModel, tax, spending, cashFlows, inflationModel]);
+
+  // Add a bucket (optionally behaving like an existing one) with matching input and correlation entries
+  function addNewBucket() {
+    const likeIndex = newBucketLike === "" ? null : Number(newBucketLike);
+    const bucket = newBucket(buckets, likeIndex);
+    const next = addBucket({ buckets, correlationMatrix }, bucket, likeIndex);
+    setBuckets(next.buckets);
+    setCorrelationMatrix(next.correlationMatrix);
+    setInputValues(prev => ({
+      ...prev,
+      allocations: [...prev.allocations, String(bucket.allocation)],
+      avgReturns: [...prev.avgReturns, String(bucket.avgReturn)],
+      volatilities: [...prev.volatilities, String(bucket.volatility)]
+    }));
+  }
+
+  // Remove a bucket along with its inputs, correlations and any refill rules that use it
+  function removeBucketAt(idx) {
+    const next = removeBucket({ buckets, correlationMatrix, refillRules }, idx);
+    setBuckets(next.buckets);
+    setCorrelationMatrix(next.correlationMatrix);
+    setRefillRules(next.refillRules);
+    setNewBucketLike("");
+    setInputValues(prev => ({
+      ...prev,
+      allocations: prev.allocations.filter((_, i) => i !== idx),
+      avgReturns: prev.avgReturns.filter((_, i) => i !== idx),
+      volatilities: prev.volatilities.filter((_, i) => i !== idx)
+    }));
+  }
+
   // start simulation: initialize balances
   function startSimulation() {
-    if (Math.round(allocationSum) !== 100) {
-      alert("Allocation % across buckets must total exactly 100");
+    const errors = validateScenario(scenario);
+    if (errors.length) {
+      alert(errors.join("\n"));
       return;
     }
     
@@ -92,103 +271,44 @@ export default function App() {
       });
     }
     
-    const initBalances = buckets.map(b => (corpus * (b.allocation / 100)));
-    setBalances(initBalances);
-    setHistory([]);
-    setYear(0);
-    setPendingYear(null);
+    setSim(engineStart(scenario));
+    setPast(NONE);
+    setPlaying(false);
+    setPlayStatus(null);
+    setTransferFrom(Math.min(1, buckets.length - 1));
+    setTransferTo(0);
     setTab("simulation");
   }
 
   // Next year step (single year) — does returns then withdrawal.
   function nextYear() {
-    if (!balances || balances.length === 0) {
+    if (!sim) {
       alert("Start simulation first (Start button in Inputs tab).");
       return;
     }
-    if (pendingYear) {
-      alert("You have a pending transfer requirement. Fix transfers before advancing.");
+    if (sim.depletedIn && !pendingYear && !window.confirm(`The corpus was depleted in year ${sim.depletedIn}. Simulate another year anyway?`)) {
       return;
     }
     
     // Track next year action
-    if (window.gtag) {
+    if (window.gtag && !pendingYear) {
       window.gtag('event', 'next_year_clicked', {
         'current_year': year,
         'simulation_mode': modeManual ? 'manual' : 'auto'
       });
     }
 
-    const nextYearIndex = year + 1;
-    const expenseThisYear = firstYearExpenses * Math.pow(1 + inflation / 100, year); // year=0 => firstYearExpenses
-
-    // Use correlated returns
-    const avgReturns = buckets.map(b => b.avgReturn);
-    const volatilities = buckets.map(b => b.volatility);
-    const returnsPct = correlatedReturns(avgReturns, volatilities, CORRELATION_MATRIX);
-
-    // 1) compute return amounts and apply returns
-    let newBalances = balances.map((bal, i) => {
-      const pct = returnsPct[i] / 100;
-      const gain = bal * pct;
-      return Math.max(0, bal + gain); // avoid negative due to numerical issues
-    });
-
-    const returnAmounts = newBalances.map((newBal, i) => (newBal - balances[i]));
-
-    // 2) withdrawal logic
-    if (modeManual) {
-      // Manual mode: only withdraw from Bucket 1, require transfer if insufficient
-      if (newBalances[0] >= expenseThisYear) {
-        newBalances[0] -= expenseThisYear;
-        pushHistoryRow(nextYearIndex, returnAmounts, newBalances);
-        setBalances(newBalances);
-        setYear(nextYearIndex);
-        return;
-      }
-      // Bucket1 insufficient
-      const shortfall = expenseThisYear - newBalances[0];
-      setPendingYear({
-        year: nextYearIndex,
-        returnsPct,
-        returnAmounts,
-        balancesBeforeWithdrawal: [...newBalances],
-        expenseThisYear,
-        shortfall
-      });
-      alert("Liquid Fund cannot cover the current expense. Please transfer funds to Liquid Fund before proceeding.");
-      return;
-    } else {
-      // Auto mode: withdraw from buckets in order until expense is covered
-      let remainingExpense = expenseThisYear;
-      let autoBalances = [...newBalances];
-      for (let i = 0; i < autoBalances.length; i++) {
-        const take = Math.min(autoBalances[i], remainingExpense);
-        autoBalances[i] -= take;
-        remainingExpense -= take;
-        if (remainingExpense <= 0) break;
-      }
-      // If not enough in all buckets, set all to zero
-      if (remainingExpense > 0) {
-        autoBalances = autoBalances.map(() => 0);
-      }
-      pushHistoryRow(nextYearIndex, returnAmounts, autoBalances);
-      setBalances(autoBalances);
-      setYear(nextYearIndex);
+    let next;
+    try {
+      next = stepYear(scenario, sim);
+    } catch (err) {
+      alert(err.message);
       return;
     }
-  }
-
-  // push row into history. Note: we store returnAmounts (absolute) and endValues (numbers)
-  function pushHistoryRow(yearIndex, returnAmounts, endBalances) {
-    const total = endBalances.reduce((s, v) => s + v, 0);
-    const row = {
-      year: yearIndex,
-      returnsAmt: returnAmounts.map(r => Number(r)), // absolute rupee amounts
-      endValues: endBalances.map(v => Number(v)),
-      total
-    };
-    setHistory(prev => [...prev, row]);
+    advance(next);
+    if (next.pendingYear) {
+      alert("Liquid Fund cannot cover the current expense. Please transfer funds to Liquid Fund before proceeding.");
+    }
   }
 
   // Manual transfer handler — used any time (both in pending state or normal)
@@ -197,20 +317,12 @@ export default function App() {
     const to = Number(transferTo);
     const amountLakh = Number(transferAmount);
     const amount = amountLakh * 100000; // convert lakh to actual amount
-    if (from === to) {
-      alert("Choose different source and destination buckets.");
-      return;
-    }
-    if (!balances || balances.length === 0) {
-      alert("No balances available. Start simulation first.");
-      return;
-    }
-    if (amount <= 0) {
-      alert("Transfer amount must be > 0");
-      return;
-    }
-    if (balances[from] < amount) {
-      alert("Not enough balance in chosen source bucket.");
+
+    let next;
+    try {
+      next = engineTransfer(scenario, sim || { balances: [] }, from, to, amount);
+    } catch (err) {
+      alert(err.message);
       return;
     }
     
@@ -224,110 +336,299 @@ export default function App() {
       });
     }
 
-    // apply transfer
-    const newBalances = [...balances];
-    newBalances[from] -= amount;
-    newBalances[to] += amount;
-    setBalances(newBalances);
-
-    // if we had a pendingYear waiting for funds to cover expense, check if resolved:
-    if (pendingYear) {
-      const pb = [...pendingYear.balancesBeforeWithdrawal]; // balances after returns but before withdrawal (snapshot)
-      pb[from] -= amount;
-      pb[to] += amount;
-      if (pb[0] >= pendingYear.expenseThisYear) {
-        pb[0] -= pendingYear.expenseThisYear;
-        // Remove any existing row for this year before adding the new one
-        setHistory(prev => [
-          ...prev.filter(r => r.year !== pendingYear.year),
-          {
-            year: pendingYear.year,
-            returnsAmt: pendingYear.returnAmounts ? pendingYear.returnAmounts.map(r => Number(r)) : pendingYear.returnsPct.map((p,i)=> pb[i]*p/100),
-            endValues: pb.map(v => Number(v)),
-            total: pb.reduce((s,v)=>s+v,0)
-          }
-        ]);
-        setBalances(pb);
-        setYear(pendingYear.year);
-        setPendingYear(null);
-        setTransferAmount("");
-        return;
-      } else {
-        setPendingYear(prev => ({
-          ...prev,
-          balancesBeforeWithdrawal: pb,
-          shortfall: pendingYear.expenseThisYear - pb[0]
-        }));
-        setTransferAmount("");
-        return;
-      }
+    advance(next);
+    setTransferAmount("");
+  }
+
+  function toggleLedger(rowYear) {
+    setExpandedYears(prev => {
+      const next = new Set(prev);
+      if (next.has(rowYear)) next.delete(rowYear);
+      else next.add(rowYear);
+      return next;
+    });
+  }
+
+  // Move to a new simulation state, keeping the current one for undo
+  function advance(next) {
+    setPast(prev => pushSnapshot(prev, sim));
+    setSim(next);
+  }
+
+  // Undo the last Next Year, transfer or rewind
+  function undo() {
+    if (past.length === 0) return;
+    setPlaying(false);
+    setSim(past[past.length - 1]);
+    setPast(past.slice(0, -1));
+  }
+
+  // Go back to the end of `targetYear` (0 = the start) and carry on from there as a new branch
+  function rewindTo(targetYear) {
+    const snapshot = snapshotAtYear(past, sim, targetYear);
+    if (!snapshot) {
+      alert(`Year ${targetYear} is no longer available to rewind to (runs loaded from a saved scenario start their undo history at the year they were saved).`);
+      return;
+    }
+
+    // Track rewind
+    if (window.gtag) {
+      window.gtag('event', 'simulation_rewound', {
+        'from_year': year,
+        'to_year': targetYear,
+        'replay_returns': replayReturns
+      });
+    }
+
+    setPlaying(false);
+    advance(replayReturns ? snapshot : reseedState(snapshot, randomSeed()));
+  }
+
+  // Step towards year `toYear`, at most `maxSteps` years, keeping every year for undo.
+  // Returns whether play can go on (not stopped by a condition, an error or the target).
+  function playYears(toYear, maxSteps = Infinity) {
+    const errors = validateStopConditions(stopConditions);
+    if (errors.length) {
+      alert(errors.join("\n"));
+      return false;
+    }
+    let result;
+    try {
+      result = playForward(scenario, sim, { toYear, conditions: stopConditions, maxSteps, bucketName: buckets[0].name });
+    } catch (err) {
+      alert(err.message);
+      return false;
+    }
+    const { states, reason } = result;
+    if (states.length) {
+      setPast(prev => states.slice(0, -1).reduce(pushSnapshot, pushSnapshot(prev, sim)));
+      setSim(states[states.length - 1]);
     }
+    const reached = states.length ? states[states.length - 1].year : sim.year;
+    if (reason) setPlayStatus(`Stopped: ${reason}.`);
+    else if (reached >= toYear) setPlayStatus(`Reached year ${toYear}.`);
+    return !reason && reached < toYear;
+  }
 
-    // when no pendingYear, transfers apply immediately and history does not change retroactively.
-    setTransferAmount("");
+  // The "Up to year" field as a year still ahead of the simulation, or null (after an alert)
+  function playTarget() {
+    const toYear = Math.round(Number(targetYear));
+    if (!(toYear >= 1)) {
+      alert("Enter the year to play up to");
+      return null;
+    }
+    if (toYear <= year) {
+      alert(`The simulation is already at year ${year}. Enter a later year.`);
+      return null;
+    }
+    return toYear;
+  }
+
+  function togglePlay() {
+    if (playing) {
+      setPlaying(false);
+      setPlayStatus("Paused.");
+      return;
+    }
+    const toYear = playTarget();
+    if (toYear === null) return;
+
+    // Track auto-play start
+    if (window.gtag) {
+      window.gtag('event', 'auto_play_started', {
+        'from_year': year,
+        'to_year': toYear,
+        'speed': playSpeed
+      });
+    }
+
+    setPlayStatus(null);
+    setPlaying(true);
+  }
+
+  function runToTarget() {
+    const toYear = playTarget();
+    if (toYear === null) return;
+
+    // Track run to year
+    if (window.gtag) {
+      window.gtag('event', 'run_to_year', {
+        'from_year': year,
+        'to_year': toYear
+      });
+    }
+
+    setPlayStatus(null);
+    playYears(toYear);
+  }
+
+  // One auto-play step with the latest state; the timer below calls whichever is current,
+  // so other state changes during play don't restart it
+  const playTick = useRef(null);
+  useEffect(() => {
+    playTick.current = () => {
+      if (!playYears(Math.round(Number(targetYear)), 1)) setPlaying(false);
+    };
+  });
+
+  // While playing, step one year per tick
+  useEffect(() => {
+    if (!playing) return undefined;
+    const timer = setInterval(() => playTick.current(), 1000 / playSpeed);
+    return () => clearInterval(timer);
+  }, [playing, playSpeed]);
+
+  // Put a scenario's values into every input
+  function loadInputs(next) {
+    setSeed(next.seed);
+    setCorpus(next.corpus);
+    setFirstYearExpenses(next.firstYearExpenses);
+    setInflation(next.inflation);
+    setModeManual(next.mode === "manual");
+    setBuckets(next.buckets);
+    setCorrelationMatrix(next.correlationMatrix);
+    setRefillRules(next.refillRules);
+    setReturnModel(next.returnModel);
+    setTax(next.tax);
+    setSpending(next.spending);
+    setCashFlows(next.cashFlows);
+    setInflationModel(next.inflationModel);
+    setNewBucketLike("");
+    setInputValues(inputValuesFor(next));
   }
 
   // Reset everything to inputs state
   function resetAll() {
     setTab("inputs");
-    setBalances([]);
-    setHistory([]);
-    setYear(0);
-    setPendingYear(null);
+    setSim(null);
+    setPast(NONE);
+    setPlaying(false);
+    setPlayStatus(null);
     setTransferAmount("");
-    // Reset input display values to defaults
-    setInputValues({
-      corpus: "200",
-      firstYearExpenses: "3", 
-      inflation: "6",
-      allocations: ["10", "40", "10", "25", "15"],
-      avgReturns: ["4", "7", "8", "12", "16"],
-      volatilities: ["1", "2", "5", "15", "25"]
-    });
+    // Reset inputs (and their display values) to defaults, dropping any share link from the URL
+    loadInputs({ ...DEFAULT_SCENARIO, seed: randomSeed() });
+    setLinkError(null);
+    if (window.location.hash) window.history.replaceState(null, "", window.location.pathname + window.location.search);
+  }
+
+  // Set every bucket's allocation (%) at once, as the optimiser does
+  function applyAllocations(allocations) {
+    setBuckets(prev => prev.map((b, i) => ({ ...b, allocation: allocations[i] })));
+    setInputValues(prev => ({ ...prev, allocations: allocations.map(String) }));
+  }
+
+  // Put a goal-seek answer (whole ₹1,000s) into its input
+  function applyGoalSeek(solveFor, amount) {
+    if (solveFor === "expense") {
+      setFirstYearExpenses(amount);
+      setInputValues(prev => ({ ...prev, firstYearExpenses: String(amount / 100000) }));
+    } else {
+      setCorpus(amount);
+      setInputValues(prev => ({ ...prev, corpus: String(amount / 100000) }));
+    }
+  }
+
+  // Copy a link that opens the app with the current basic inputs and buckets
+  async function copyShareLink() {
+    const errors = validateScenario(scenario);
+    if (errors.length) {
+      alert(errors.join("\n"));
+      return;
+    }
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${encodeShareLink(scenario)}`;
+
+    // Track link sharing
+    if (window.gtag) {
+      window.gtag('event', 'share_link_copied', {
+        'bucket_count': buckets.length
+      });
+    }
+
+    try {
+      await navigator.clipboard.writeText(url);
+      alert("Link copied. It carries the inputs and buckets above; save or export a scenario to share everything.");
+    } catch {
+      window.prompt("Copy this link:", url);
+    }
+  }
+
+  // Load a saved scenario (see src/engine/scenarioFile.js), resuming its simulation if it has one
+  function loadSaved(file) {
+    loadInputs(file.scenario);
+    setSim(file.simulation);
+    setPast(NONE);
+    setPlaying(false);
+    setPlayStatus(null);
+    setTransferAmount("");
+    setTransferFrom(Math.min(1, file.scenario.buckets.length - 1));
+    setTransferTo(0);
+    setTab(file.simulation ? "simulation" : "inputs");
+  }
+
+  // Download the history as CSV or Excel (nominal rupees; inputs on a second sheet in Excel)
+  function exportHistory(format) {
+    const table = historyTable(buckets, history);
+    if (format === "csv") {
+      downloadBlob(new Blob([toCsv(table)], { type: "text/csv" }), "retirement-simulation.csv");
+    } else {
+      const file = xlsxFile([
+        { name: "History", rows: [table.header, ...table.rows] },
+        { name: "Inputs", rows: scenarioSummary(scenario) }
+      ]);
+      downloadBlob(new Blob([file], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" }), "retirement-simulation.xlsx");
+    }
+
+    // Track history export
+    if (window.gtag) {
+      window.gtag('event', 'history_exported', {
+        'format': format,
+        'years': history.length
+      });
+    }
+  }
+
+  // Printable report with the inputs, chart and table (nominal rupees), to print or save as PDF
+  function printReport() {
+    const last = history[history.length - 1];
+    const headline = `After ${last.year} year(s): total corpus ₹${fmt(last.total)}`
+      + (sim.depletedIn ? `; ran out of money in year ${sim.depletedIn}.` : ".");
+    try {
+      openPrintReport({
+        title: "Retirement Bucket Simulator report",
+        summary: scenarioSummary(scenario),
+        headline,
+        table: historyTable(buckets, history),
+        // nominal like the table
+        chart: chartImage(corpusChartData(history, buckets, false), "Amount (₹)")
+      });
+    } catch (err) {
+      alert(err.message);
+    }
   }
 
   // Chart data from history
-  const chartData = useMemo(() => {
-    if (!history || history.length === 0) return null;
-    const labels = history.map(r => `Year ${r.year}`);
-    
-    // Define colors that match the card colors
-    const cardColors = [
-      "#2563EB", // bg-blue-600
-      "#16A34A", // bg-green-600
-      "#EAB308", // bg-yellow-500
-      "#9333EA", // bg-purple-600
-      "#EC4899"  // bg-pink-500
-    ];
-    
-    const datasets = [
-      // Total corpus line (distinct color)
-      {
-        label: "Total Corpus",
-        data: history.map(r => r.total),
-        fill: false,
-        borderColor: "#FFFFFF", // white - completely distinct from cards
-        borderWidth: 4,
-        pointRadius: 4,
-        pointBackgroundColor: "#FFFFFF",
-        tension: 0.2,
-        yAxisID: "y",
-      },
-      // Individual buckets - matching card colors
-      ...buckets.map((b, idx) => ({
-        label: b.name,
-        data: history.map(r => r.endValues[idx]),
-        fill: false,
-        borderColor: cardColors[idx],
-        borderWidth: 2,
-        pointRadius: 2,
-        pointBackgroundColor: cardColors[idx],
-        tension: 0.2,
-        yAxisID: "y",
-      }))
-    ];
-    return { labels, datasets };
-  }, [history, buckets]);
+  const chartData = useMemo(() => corpusChartData(history, buckets, realView), [history, buckets, realView]);
+
+  // Rules-fired column only when refill rules are in play
+  const showRuleEvents = refillRules.length > 0 || history.some(r => r.ruleEvents && r.ruleEvents.length);
+  // Market regime column only for the regime-switching return model
+  const showRegime = history.some(r => r.regime);
+  // Tax column when tax is on for this run
+  const showTax = Boolean(sim && sim.lots);
+  // Cash-flow column once any scheduled item has been applied
+  const showCashFlows = history.some(r => r.cashFlows && r.cashFlows.length);
+  const tableColumns = 1 + (showRegime ? 1 : 0) + buckets.length * 2 + 2 + (showTax ? 1 : 0) + (showCashFlows ? 1 : 0) + (showRuleEvents ? 1 : 0);
+
+  // Today's-rupee view: year-end amounts are deflated by the row's price index,
+  // amounts spent during the year by the index at its start
+  const atEnd = (amount, row) => (realView ? amount / row.priceIndex : amount);
+  const atStart = (amount, row) => (realView ? amount / startPriceIndex(row) : amount);
+
+  // Expense actually taken in the latest year; before the first year, what year 1 will take
+  const nominalExpense = history.length
+    ? history[history.length - 1].expense
+    : sim ? expenseForState(scenario, sim) : firstYearExpenses;
+  const currentExpense = history.length ? atStart(nominalExpense, history[history.length - 1]) : nominalExpense;
 
   // helper for formatting numbers (lakhs display is optional)
   const fmt = (n) => Number(n).toLocaleString(undefined, { maximumFractionDigits: 0 });
@@ -340,10 +641,20 @@ export default function App() {
       <div className="flex gap-2 mb-4">
         <button onClick={() => setTab("inputs")} className={`px-3 py-2 rounded ${tab==="inputs" ? "bg-blue-600":"bg-gray-800"}`}>Inputs</button>
         <button onClick={() => setTab("simulation")} className={`px-3 py-2 rounded ${tab==="simulation" ? "bg-blue-600":"bg-gray-800"}`} disabled={balances.length === 0}>Simulation</button>
+        <button onClick={() => setTab("backtest")} className={`px-3 py-2 rounded ${tab==="backtest" ? "bg-blue-600":"bg-gray-800"}`}>Backtest</button>
+        <button onClick={() => setTab("compare")} className={`px-3 py-2 rounded ${tab==="compare" ? "bg-blue-600":"bg-gray-800"}`}>Compare</button>
+        <button onClick={() => setTab("stress")} className={`px-3 py-2 rounded ${tab==="stress" ? "bg-blue-600":"bg-gray-800"}`}>Stress test</button>
+        <button onClick={() => setTab("scenarios")} className={`px-3 py-2 rounded ${tab==="scenarios" ? "bg-blue-600":"bg-gray-800"}`}>Scenarios</button>
         <button onClick={resetAll} className="ml-auto px-3 py-2 rounded bg-red-600">Reset</button>
       </div>
 
       {/* INPUTS TAB */}
+      {tab === "inputs" && linkError && (
+        <div className="mb-4 p-3 rounded bg-yellow-900/60 border border-yellow-600 text-sm flex items-start gap-2">
+          <div className="whitespace-pre-line">{linkError}{"\n"}Showing the default inputs instead.</div>
+          <button className="ml-auto px-2" title="Dismiss" onClick={() => setLinkError(null)}>✕</button>
+        </div>
+      )}
       {tab === "inputs" && (
         <div className="grid grid-cols-10 gap-6">
           {/* Left side - 70% */}
@@ -384,7 +695,7 @@ export default function App() {
                   />
                </label>
                              <label className="flex flex-col">
-                 Inflation %
+                 {inflationModel.stochastic ? "Average Inflation %" : "Inflation %"}
                                    <input 
                     className="mt-1 p-2 bg-gray-800 text-white rounded" 
                     type="number" 
@@ -400,10 +711,41 @@ export default function App() {
                     }} 
                   />
                </label>
+              <label className="flex flex-col">
+                Random Seed
+                <div className="mt-1 flex gap-2">
+                  <input
+                    className="flex-1 p-2 bg-gray-800 text-white rounded"
+                    type="text"
+                    value={inputValues.seed}
+                    onChange={e => {
+                      const value = e.target.value;
+                      setInputValues(prev => ({ ...prev, seed: value }));
+                      setSeed(normalizeSeed(value));
+                    }}
+                  />
+                  <button
+                    type="button"
+                    className="px-3 py-2 bg-gray-700 rounded"
+                    title="Pick a new random seed"
+                    onClick={() => {
+                      const newSeed = randomSeed();
+                      setSeed(newSeed);
+                      setInputValues(prev => ({ ...prev, seed: String(newSeed) }));
+                    }}
+                  >
+                    New
+                  </button>
+                </div>
+              </label>
               <label className="flex items-center gap-2">
                 <input type="checkbox" checked={modeManual} onChange={e => setModeManual(e.target.checked)} />
                 Manual Transfer Mode (if checked, simulation pauses when Liquid Funds are short)
               </label>
+              <InflationModelEditor model={inflationModel} onChange={setInflationModel} />
+              <SpendingRuleEditor spending={spending} onChange={setSpending} />
+              <CashFlowEditor cashFlows={cashFlows} onChange={setCashFlows} />
+              <GoalSeekPanel scenario={scenario} onApply={applyGoalSeek} />
             </div>
 
             <div className="mt-2">
@@ -411,15 +753,24 @@ export default function App() {
               <div className="text-sm mb-2 font-semibold">Buckets (allocation must total 100%) — input values are editable</div>
               {/* Buckets Table */}
               <div className="grid grid-cols-1 gap-2">
-                <div className="grid grid-cols-4 gap-2 items-center bg-gray-700 p-2 rounded font-semibold text-gray-200">
+                <div className="grid gap-2 items-center bg-gray-700 p-2 rounded font-semibold text-gray-200" style={{ gridTemplateColumns: BUCKET_ROW_COLUMNS }}>
                   <div>Name</div>
                   <div>Allocation %</div>
                   <div>Avg Return %</div>
                   <div>Volatility %</div>
+                  <div></div>
                 </div>
                                  {buckets.map((b, idx) => (
-                   <div key={idx} className="grid grid-cols-4 gap-2 items-center bg-gray-800 p-3 rounded">
-                     <div>{b.name}</div>
+                   <div key={idx} className="grid gap-2 items-center bg-gray-800 p-3 rounded" style={{ gridTemplateColumns: BUCKET_ROW_COLUMNS }}>
+                     <input
+                       className="p-2 bg-gray-700 text-white rounded"
+                       type="text"
+                       value={b.name}
+                       onChange={e => {
+                         const value = e.target.value;
+                         setBuckets(prev => prev.map((p,i)=> i===idx? {...p, name: value}:p));
+                       }}
+                     />
                                            <input 
                         className="p-2 bg-gray-700 text-white rounded" 
                         type="number" 
@@ -471,17 +822,62 @@ export default function App() {
                           }
                         }} 
                       />
+                     <button
+                       type="button"
+                       className="px-2 py-1 bg-red-700 rounded disabled:opacity-40"
+                       onClick={() => removeBucketAt(idx)}
+                       disabled={buckets.length <= 1 || !!sim}
+                       title={sim ? "Reset the simulation to remove buckets" : "Remove bucket"}
+                     >
+                       ✕
+                     </button>
                    </div>
                  ))}
+                <div className="flex gap-2 items-center">
+                  <button
+                    type="button"
+                    className="px-3 py-2 bg-gray-700 rounded disabled:opacity-40"
+                    onClick={addNewBucket}
+                    disabled={!!sim}
+                    title={sim ? "Reset the simulation to add buckets" : "Add a bucket"}
+                  >
+                    + Add bucket
+                  </button>
+                  <span className="text-sm text-gray-400">correlated like</span>
+                  <select value={newBucketLike} onChange={e => setNewBucketLike(e.target.value)} className="p-2 bg-gray-700 rounded text-sm">
+                    <option value="">nothing (uncorrelated)</option>
+                    {buckets.map((b, i) => (
+                      <option key={i} value={i}>{b.name}</option>
+                    ))}
+                  </select>
+                </div>
               </div>
               <div className="mt-2">Total allocation: <span className={allocationSum!==100? "text-red-400":"text-green-400"}>{allocationSum}%</span></div>
               <div className="mt-4">
+                <AllocationOptimizer scenario={scenario} onApply={applyAllocations} />
+              </div>
+              <div className="mt-4">
+                <CorrelationEditor matrix={correlationMatrix} buckets={buckets} onChange={setCorrelationMatrix} />
+              </div>
+              <div className="mt-4">
+                <ReturnModelEditor model={returnModel} buckets={buckets} onChange={setReturnModel} onBucketsChange={setBuckets} />
+              </div>
+              <div className="mt-4">
+                <TaxSettingsEditor tax={tax} buckets={buckets} onChange={setTax} onBucketsChange={setBuckets} />
+              </div>
+              {!modeManual && (
+                <div className="mt-4">
+                  <RefillRulesEditor rules={refillRules} buckets={buckets} onChange={setRefillRules} />
+                </div>
+              )}
+              <div className="mt-4 flex gap-2">
                 <button
                   className="px-4 py-2 bg-green-600 rounded"
                   onClick={startSimulation}
                 >
                   {modeManual ? "Manual Simulation" : "Auto Simulation"}
                 </button>
+                <button className="px-4 py-2 bg-gray-700 rounded" onClick={copyShareLink}>Copy link</button>
               </div>
             </div>
           </div>
@@ -496,7 +892,9 @@ export default function App() {
                 <ul className="list-disc list-inside space-y-1 text-gray-700">
                   <li>Enter your starting retirement corpus (in lakhs)</li>
                   <li>Set your first-year annual expenses</li>
+                  <li>Not sure what works? Goal seek finds the largest expense (or smallest corpus) that meets a target success rate</li>
                   <li>Choose expected inflation rate</li>
+                  <li>Keep the random seed to replay the same returns later</li>
                   <li>Select simulation mode (Auto/Manual)</li>
                 </ul>
               </div>
@@ -504,10 +902,18 @@ export default function App() {
               <div>
                 <h3 className="font-semibold text-gray-800 mb-2">2. Bucket Configuration</h3>
                 <ul className="list-disc list-inside space-y-1 text-gray-700">
-                  <li>Configure 5 investment buckets</li>
+                  <li>Configure your investment buckets (add, remove or rename them)</li>
                   <li>Set allocation percentages (must total 100%)</li>
+                  <li>Or let the allocation optimiser search them within your bounds, then click a point on its chart to use it</li>
                   <li>Define expected returns and volatility</li>
+                  <li>Adjust correlations or pick a preset such as crisis correlations</li>
+                  <li>Choose a return distribution: normal, lognormal, fat-tailed or bull/bear regimes</li>
+                  <li>Optionally turn on capital-gains tax and pick each bucket's tax treatment</li>
+                  <li>Pick a spending rule: constant, % of portfolio, guardrails, VPW or floor-and-ceiling</li>
+                  <li>Add pensions, rent and one-off lump sums with the years they apply</li>
+                  <li>Optionally draw inflation at random each year, linked to debt and gold returns</li>
                   <li>All values are editable</li>
+                  <li>"Copy link" shares the basic inputs and buckets as a URL</li>
                 </ul>
               </div>
 
@@ -516,7 +922,7 @@ export default function App() {
                 <div className="space-y-2">
                   <div>
                     <span className="font-medium text-blue-600">Auto Mode:</span>
-                    <p className="text-gray-700 text-xs mt-1">Automatically withdraws from buckets in order when Liquid Funds are insufficient</p>
+                    <p className="text-gray-700 text-xs mt-1">Automatically withdraws from buckets in order when Liquid Funds are insufficient, then refills buckets using the selected rules</p>
                   </div>
                   <div>
                     <span className="font-medium text-orange-600">Manual Mode:</span>
@@ -530,8 +936,14 @@ export default function App() {
                 <ul className="list-disc list-inside space-y-1 text-gray-700">
                   <li>Click "Start Simulation" to begin</li>
                   <li>Use "Next Year" button to advance</li>
-                  <li>Monitor bucket balances and returns</li>
+                  <li>Or press Play (or "Run to year") to go up to a chosen year, stopping early when the corpus runs out or another stop condition is met</li>
+                  <li>Undo any step, or press ↺ on a table row to rewind to that year and try another path</li>
+                  <li>Monitor bucket balances and returns, and the outcome metrics (CAGR, drawdown, withdrawal rate and more)</li>
+                  <li>Press ▸ on a table row to see that year's transfers and withdrawals per bucket</li>
                   <li>View charts and detailed history</li>
+                  <li>Tick "Today's rupees" to see everything after inflation, with real returns</li>
+                  <li>Export the history to CSV or Excel, or print a report (or save it as PDF)</li>
+                  <li>Save scenarios (and runs in progress) on the Scenarios tab, or export them as JSON files</li>
                 </ul>
               </div>
 
@@ -543,6 +955,9 @@ export default function App() {
                   <li>Interactive charts</li>
                   <li>Manual fund transfers</li>
                   <li>Year-by-year history</li>
+                  <li>Monte Carlo success probability</li>
+                  <li>Historical backtest of every start year</li>
+                  <li>Side-by-side comparison of scenario variants</li>
                 </ul>
               </div>
 
@@ -576,6 +991,18 @@ export default function App() {
         </div>
       )}
 
+      {/* BACKTEST TAB */}
+      {tab === "backtest" && <BacktestPanel scenario={scenario} />}
+
+      {/* COMPARE TAB */}
+      {tab === "compare" && <ComparePanel scenario={scenario} />}
+
+      {/* STRESS TEST TAB */}
+      {tab === "stress" && <StressTestPanel scenario={scenario} />}
+
+      {/* SCENARIOS TAB */}
+      {tab === "scenarios" && <ScenarioManager scenario={scenario} sim={sim} onLoad={loadSaved} />}
+
       {/* SIMULATION TAB */}
       {tab === "simulation" && (
         <div className="space-y-4">
@@ -585,13 +1012,26 @@ export default function App() {
               <div className="text-sm">Current Year</div>
               <div className="text-xl font-bold">{year}</div>
             </div>
+            <div className="bg-gray-800 p-3 rounded" title="Price level now relative to the start (cumulative inflation)">
+              <div className="text-sm">Price index</div>
+              <div className="text-xl font-bold">{sim.priceIndex.toFixed(2)}×</div>
+            </div>
+            <label className="bg-gray-800 p-3 rounded flex items-center gap-2 text-sm" title="Deflate cards, chart and table by the price index; transfers and pending amounts stay nominal">
+              <input type="checkbox" checked={realView} onChange={e => setRealView(e.target.checked)} />
+              Today's rupees (real)
+            </label>
+            <div className="bg-gray-800 p-3 rounded" title="Enter this seed with the same inputs to replay this run exactly">
+              <div className="text-sm">Seed</div>
+              <div className="text-xl font-bold font-mono">{sim.seed}</div>
+            </div>
             <div className="flex-1 bg-gray-800 p-3 rounded">
               <div className="text-sm">Liquid Funds cover suggestion</div>
               <div className="text-lg">
                 {balances && balances.length ? (
                   (() => {
+                    // both nominal, whichever view is shown
                     const startingBucket1 = balances[0];
-                    const expense = firstYearExpenses * Math.pow(1 + inflation/100, year);
+                    const expense = nominalExpense;
                     if (expense <= 0) return "—";
                     const yrs = Math.floor((startingBucket1 / expense));
                     return `Liquid Funds can support ~ ${yrs} year(s) at current expense`;
@@ -608,9 +1048,43 @@ export default function App() {
               >
                 Next<br />Year
               </button>
+              <div className="flex flex-col gap-2 justify-center text-sm">
+                <button className="px-3 py-2 bg-gray-700 rounded disabled:opacity-50" onClick={undo} disabled={past.length === 0} title="Undo the last Next Year, transfer or rewind">
+                  Undo
+                </button>
+                <button className="px-3 py-2 bg-gray-700 rounded disabled:opacity-50" onClick={() => rewindTo(0)} disabled={past.length === 0} title="Rewind to the start and branch from there">
+                  Back to start
+                </button>
+                <label className="flex items-center gap-2" title="Off: years after a rewind draw new random returns instead of repeating the original ones">
+                  <input type="checkbox" checked={replayReturns} onChange={e => setReplayReturns(e.target.checked)} />
+                  Replay original returns
+                </label>
+              </div>
             </div>
           </div>
 
+          {sim.depletedIn && (
+            <div className="bg-red-900/60 border border-red-500 p-3 rounded font-semibold">
+              Corpus depleted in year {sim.depletedIn}: that year's expense could not be covered in full.
+            </div>
+          )}
+
+          <AutoPlayControls
+            playing={playing}
+            speed={playSpeed}
+            targetYear={targetYear}
+            conditions={stopConditions}
+            status={playStatus}
+            bucketName={buckets[0].name}
+            onTogglePlay={togglePlay}
+            onSpeedChange={setPlaySpeed}
+            onTargetYearChange={setTargetYear}
+            onRunTo={runToTarget}
+            onConditionsChange={setStopConditions}
+          />
+
+          <MetricsPanel scenario={scenario} sim={sim} />
+
           {/* Layout: upper half cards (left) and chart (right) */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             {/* Left: Cards and Transfers */}
@@ -618,7 +1092,7 @@ export default function App() {
               {/* Compound/Annual Return inputs */}
               <div className="bg-gray-800 p-3 rounded mb-4">
                 <div className="text-sm mb-2">Compound/Annual Return inputs (avg / vol shown)</div>
-                <div className="grid grid-cols-5 gap-2 text-sm">
+                <div className="grid gap-2 text-sm" style={{ gridTemplateColumns: `repeat(${buckets.length}, minmax(0, 1fr))` }}>
                   {buckets.map((b, i) => (
                     <div key={i} className="text-center">
                       <div className="text-xs text-gray-400">{b.name}</div>
@@ -664,6 +1138,12 @@ export default function App() {
                     <button className="px-3 py-2 bg-yellow-600 rounded" onClick={transferFunds} disabled={!balances.length}>Transfer</button>
                   </div>
                 </div>
+                {sim.transfers.length > 0 && (
+                  <div className="text-xs text-gray-300 space-y-1">
+                    <div className="text-gray-400">Booked with year {sim.transfers[0].year}:</div>
+                    {sim.transfers.map((t, i) => <div key={i}>{describeTransfer(t, buckets)}</div>)}
+                  </div>
+                )}
                 {pendingYear && (
                   <div className="mt-4 p-3 bg-red-900/40 rounded">
                     <div className="font-semibold">Pending: Year {pendingYear.year}</div>
@@ -674,45 +1154,40 @@ export default function App() {
               </div>
               {/* Cards */}
               <div className="bg-gray-800 p-3 rounded">
-                <div className="text-sm text-gray-400 mb-2">Current Balances</div>
-                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
+                <div className="text-sm text-gray-400 mb-2">Current Balances{realView ? " (today's rupees)" : ""}</div>
+                {/* One column per bucket plus the expense card on wide screens */}
+                <div
+                  className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-[repeat(var(--cards),minmax(0,1fr))] gap-3"
+                  style={{ "--cards": buckets.length + 1 }}
+                >
                   {/* Current Expense Card */}
                   <div className="bg-gray-700 rounded shadow p-4 flex flex-col items-center justify-center">
                     <div className="text-xs text-gray-300 mb-1">Current Expense</div>
                     <div className="text-lg font-bold text-white">
-                      {Math.round(firstYearExpenses * Math.pow(1 + inflation / 100, year) / 100000).toLocaleString()} Lakh
+                      {Math.round(currentExpense / 100000).toLocaleString()} Lakh
                     </div>
                     <div className="text-xs text-gray-400 mt-1">
-                      ₹{fmt(firstYearExpenses * Math.pow(1 + inflation / 100, year))}
+                      ₹{fmt(currentExpense)}
+                    </div>
+                    <div className="text-xs text-gray-400">
+                      {history.length ? `Taken in year ${year}` : "Planned for year 1"}
                     </div>
                   </div>
                   {/* Bucket Balances Cards with distinct colors */}
-                  {balances.map((b, i) => {
+                  {balances.map((nominal, i) => {
+                    const b = realView ? nominal / sim.priceIndex : nominal;
                     // Mild, distinct background colors for each card
-                    const cardBg = [
-                      "bg-blue-600",
-                      "bg-green-600",
-                      "bg-yellow-500",
-                      "bg-purple-600",
-                      "bg-pink-500"
-                    ];
-                    const textColor = [
-                      "text-white",
-                      "text-white",
-                      "text-gray-900",
-                      "text-white",
-                      "text-gray-900"
-                    ];
+                    const { bg: cardBg, text: textColor } = bucketColor(i);
                     return (
                       <div
                         key={i}
-                        className={`${cardBg[i % cardBg.length]} rounded shadow p-4 flex flex-col items-center justify-center`}
+                        className={`${cardBg} rounded shadow p-4 flex flex-col items-center justify-center`}
                       >
-                        <div className={`text-xs mb-1 ${textColor[i % textColor.length]}`}>{buckets[i].name}</div>
-                        <div className={`text-lg font-bold ${textColor[i % textColor.length]}`}>
+                        <div className={`text-xs mb-1 ${textColor}`}>{buckets[i].name}</div>
+                        <div className={`text-lg font-bold ${textColor}`}>
                           {Math.max(0, Math.round(b / 100000)).toLocaleString()} Lakh
                         </div>
-                        <div className={`text-xs mt-1 ${textColor[i % textColor.length]}`}>₹{fmt(b)}</div>
+                        <div className={`text-xs mt-1 ${textColor}`}>₹{fmt(b)}</div>
                       </div>
                     );
                   })}
@@ -722,47 +1197,12 @@ export default function App() {
             {/* Right: Chart */}
             <div>
               <div className="bg-gray-800 p-3 rounded h-full flex flex-col">
-                <div className="font-semibold mb-2">Chart: bucket balances over years</div>
+                <div className="font-semibold mb-2">Chart: bucket balances over years{realView ? " (today's rupees)" : ""}</div>
                 <div className="flex-1 flex items-center justify-center">
                   {chartData ? (
                     <Line
                       data={chartData}
-                      options={{
-                        plugins: {
-                          legend: {
-                            labels: {
-                              color: "#fff",
-                              font: { size: 14 }
-                            }
-                          },
-                          tooltip: {
-                            enabled: true,
-                            mode: "nearest",
-                            intersect: false,
-                            callbacks: {
-                              // Show label and value in lakh with formatting
-                              label: function(context) {
-                                const label = context.dataset.label || '';
-                                const value = context.parsed.y;
-                                return `${label}: ₹${Number(value).toLocaleString()} (${Math.round(value / 100000).toLocaleString()} Lakh)`;
-                              }
-                            }
-                          }
-                        },
-                        interaction: {
-                          mode: "nearest",
-                          intersect: false
-                        },
-                        scales: {
-                          y: {
-                            ticks: { color: "#fff" },
-                            title: { display: true, text: "Amount (₹)", color: "#fff" }
-                          },
-                          x: {
-                            ticks: { color: "#fff" }
-                          }
-                        }
-                      }}
+                      options={corpusChartOptions(realView ? "Amount (today's ₹)" : "Amount (₹)")}
                     />
                   ) : (
                     <div className="text-sm text-gray-400">No data yet</div>
@@ -772,16 +1212,31 @@ export default function App() {
             </div>
           </div>
 
+          {/* Monte Carlo batch mode */}
+          <MonteCarloPanel scenario={scenario} seed={sim.seed} />
+
           {/* Lower half: Table */}
           <div className="bg-gray-800 p-3 rounded overflow-auto mt-4">
-            <div className="font-semibold mb-2">Balances / Returns by Year</div>
+            <div className="flex items-center gap-2 mb-2">
+              <div className="font-semibold">Balances / Returns by Year{realView ? " — real returns, today's rupees" : ""}</div>
+              <div className="ml-auto flex gap-2 text-sm">
+                <button className="px-3 py-1 bg-gray-700 rounded" onClick={() => exportHistory("csv")} disabled={history.length === 0}>Export CSV</button>
+                <button className="px-3 py-1 bg-gray-700 rounded" onClick={() => exportHistory("xlsx")} disabled={history.length === 0}>Export Excel</button>
+                <button className="px-3 py-1 bg-gray-700 rounded" onClick={printReport} disabled={history.length === 0}>Print report</button>
+              </div>
+            </div>
             <table className="table-auto w-full text-sm border-collapse">
               <thead>
                 <tr>
                   <th className="p-1 border align-top" rowSpan={2}>Year</th>
-                  <th className="p-1 border text-center" colSpan={buckets.length} style={{ background: "#374151" }}>Returns (%)</th>
+                  {showRegime && <th className="p-1 border align-top" rowSpan={2}>Market</th>}
+                  <th className="p-1 border text-center" colSpan={buckets.length} style={{ background: "#374151" }}>{realView ? "Real Returns (%)" : "Returns (%)"}</th>
                   <th className="p-1 border text-center" colSpan={buckets.length} style={{ background: "#374151" }}>End Value (Lakh)</th>
                   <th className="p-1 border align-top" rowSpan={2}>Total (Lakh)</th>
+                  <th className="p-1 border align-top" rowSpan={2}>Inflation (Price index)</th>
+                  {showTax && <th className="p-1 border align-top" rowSpan={2}>Tax paid (₹)</th>}
+                  {showCashFlows && <th className="p-1 border align-top" rowSpan={2}>Cash flows</th>}
+                  {showRuleEvents && <th className="p-1 border align-top" rowSpan={2}>Rules fired</th>}
                 </tr>
                 <tr>
                   {buckets.map((b, i) => (
@@ -795,33 +1250,82 @@ export default function App() {
               <tbody>
                 {history.length === 0 && (
                   <tr>
-                    <td className="p-2 text-center" colSpan={1 + buckets.length * 2 + 1}>
+                    <td className="p-2 text-center" colSpan={tableColumns}>
                       No years yet — click Move to next year
                     </td>
                   </tr>
                 )}
                 {/* Show all rows, latest at top */}
-                {[...history].reverse().map((row, idx) => (
-                  <tr key={row.year} className="text-sm">
-                    <td className="p-1 border">{row.year}</td>
-                    {row.returnsAmt.map((r, i) => (
-                      <td
-                        key={`ret${i}`}
-                        className={`p-1 border text-center italic ${Number(r) < 0 ? "text-red-400 font-bold" : ""}`}
-                      >
-                        {balances && balances[i]
-                          ? `${((r / (row.endValues[i] - r)) * 100).toFixed(2)}%`
-                          : "—"}
-                      </td>
-                    ))}
-                    {row.endValues.map((v, i) => (
-                      <td key={`end${i}`} className={`p-1 border text-center ${Number(v) < 0 ? "text-red-400 font-bold" : ""}`}>
-                        {Math.round(v / 100000).toLocaleString()}
-                      </td>
-                    ))}
-                    <td className="p-1 border text-center">{Math.round(row.total / 100000).toLocaleString()}</td>
-                  </tr>
-                ))}
+                {[...history].reverse().map((row, k) => {
+                  const idx = history.length - 1 - k;
+                  return (
+                    <React.Fragment key={row.year}>
+                      <tr className={`text-sm ${row.year === sim.depletedIn ? "bg-red-900/40" : ""}`} title={row.year === sim.depletedIn ? "The corpus was depleted this year" : undefined}>
+                        <td className="p-1 border whitespace-nowrap">
+                          <button className="mr-1 text-gray-400 hover:text-white" title="Show how each bucket's balance changed this year" onClick={() => toggleLedger(row.year)}>
+                            {expandedYears.has(row.year) ? "▾" : "▸"}
+                          </button>
+                          {row.year}
+                          <button className="ml-1 text-gray-400 hover:text-white" title={`Rewind to the end of year ${row.year} and branch from there`} onClick={() => rewindTo(row.year)}>↺</button>
+                        </td>
+                        {showRegime && (
+                          <td className={`p-1 border text-center ${row.regime === "bear" ? "text-red-400" : "text-green-400"}`}>
+                            {row.regime === "bear" ? "Bear" : row.regime === "bull" ? "Bull" : "—"}
+                          </td>
+                        )}
+                        {row.returnsPct.map((nominalPct, i) => {
+                          // real return: growth beyond that year's inflation
+                          const pct = realView ? ((1 + nominalPct / 100) / (1 + row.inflation / 100) - 1) * 100 : nominalPct;
+                          return (
+                            <td
+                              key={`ret${i}`}
+                              className={`p-1 border text-center italic ${pct < 0 ? "text-red-400 font-bold" : ""}`}
+                            >
+                              {balances && balances[i]
+                                ? `${pct.toFixed(2)}%`
+                                : "—"}
+                            </td>
+                          );
+                        })}
+                        {row.endValues.map((v, i) => (
+                          <td key={`end${i}`} className={`p-1 border text-center ${Number(v) < 0 ? "text-red-400 font-bold" : ""}`}>
+                            {Math.round(atEnd(v, row) / 100000).toLocaleString()}
+                          </td>
+                        ))}
+                        <td className="p-1 border text-center">{Math.round(atEnd(row.total, row) / 100000).toLocaleString()}</td>
+                        <td className={`p-1 border text-center ${row.inflation > inflation + 2 ? "text-red-400" : ""}`}>
+                          {row.inflation.toFixed(2)}% ({row.priceIndex.toFixed(2)})
+                        </td>
+                        {showTax && <td className="p-1 border text-center">{fmt(atStart(row.taxPaid || 0, row))}</td>}
+                        {showCashFlows && (
+                          <td className="p-1 border text-xs text-left">
+                            {row.cashFlows && row.cashFlows.length
+                              ? row.cashFlows.map((cf, i) => (
+                                <div key={i} className={cf.amount < 0 ? "text-red-400" : "text-green-400"}>
+                                  {cf.amount < 0 ? "−" : "+"}₹{fmt(atStart(Math.abs(cf.amount), row))} {cf.name}
+                                </div>
+                              ))
+                              : "—"}
+                          </td>
+                        )}
+                        {showRuleEvents && (
+                          <td className="p-1 border text-xs text-left">
+                            {row.ruleEvents && row.ruleEvents.length
+                              ? row.ruleEvents.map((ev, i) => <div key={i}>{describeRuleEvent(ev, buckets)}</div>)
+                              : "—"}
+                          </td>
+                        )}
+                      </tr>
+                      {expandedYears.has(row.year) && (
+                        <tr>
+                          <td className="p-0 border" colSpan={tableColumns}>
+                            <LedgerDetails row={row} previousEnd={idx > 0 ? history[idx - 1].endValues : null} buckets={buckets} />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
               </tbody>
             </table>
           </div>
@@ -830,53 +1334,3 @@ export default function App() {
     </div>
   );
 }
-
-// utility: normal-like random (Box-Muller)
-  function randn() {
-    let u = 0, v = 0;
-    while (u === 0) u = Math.random();
-    while (v === 0) v = Math.random();
-    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-  }
-
-// Updated correlation matrix based on qualitative estimates
-// Order: Liquid, Debt, Gold, Large Cap, Small/Mid Cap
-const CORRELATION_MATRIX = [
-  // Liquid, Debt, Gold, LargeCap, SmallCap
-  [ 1,   0.4,   0.05,   0.05,    0.05 ],   // Liquid Fund
-  [ 0.4, 1,     0.15,   0.2,     0.2  ],   // Debt Fund
-  [ 0.05,0.15,  1,     -0.2,    -0.2 ],    // Gold
-  [ 0.05,0.2,  -0.2,    1,      0.9  ],    // Equity Large Cap
-  [ 0.05,0.2,  -0.2,    0.9,     1   ]     // Equity Small/Mid Cap
-];
-
-// Generate correlated random returns using Cholesky decomposition
-function correlatedReturns(avgReturns, volatilities, correlationMatrix) {
-  const n = avgReturns.length;
-  // Cholesky decomposition
-  function cholesky(A) {
-    const L = Array(n).fill().map(() => Array(n).fill(0));
-    for (let i = 0; i < n; ++i) {
-      for (let j = 0; j <= i; ++j) {
-        let sum = 0;
-        for (let k = 0; k < j; ++k) sum += L[i][k] * L[j][k];
-        L[i][j] = i === j
-          ? Math.sqrt(A[i][i] - sum)
-          : (A[i][j] - sum) / L[j][j];
-      }
-    }
-    return L;
-  }
-  // Generate independent standard normals
-  const z = Array(n).fill().map(() => randn());
-  // Apply Cholesky
-  const L = cholesky(correlationMatrix);
-  const correlated = Array(n).fill(0);
-  for (let i = 0; i < n; ++i) {
-    for (let j = 0; j <= i; ++j) {
-      correlated[i] += L[i][j] * z[j];
-    }
-  }
-  // Convert to returns
-  return avgReturns.map((avg, i) => avg + correlated[i] * volatilities[i]);
-}
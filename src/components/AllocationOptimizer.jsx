@@ -0,0 +1,228 @@
+// src/components/AllocationOptimizer.jsx
+import React, { useState, useMemo } from "react";
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend
+} from "chart.js";
+import { Scatter } from "react-chartjs-2";
+import { BATCH_LIMITS, validateBatchSize } from "../engine/batchTasks.js";
+import { OPTIMIZER_OBJECTIVES } from "../engine/optimizer.js";
+import { corpusChartOptions } from "./chartStyles.js";
+import TaskProgress from "./TaskProgress.jsx";
+import { useBackgroundTask } from "./useBackgroundTask.js";
+
+ChartJS.register(LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+/**
+ * Allocation optimiser (see src/engine/optimizer.js)
+ *
+ * Searches allocations within per-bucket bounds for the best success probability
+ * or median final corpus, then plots every allocation tried by risk (portfolio
+ * volatility) against that outcome, with the frontier of best trade-offs. Clicking
+ * a point, or Apply in the frontier table, copies its allocation into the buckets.
+ * The search runs in a Web Worker and reports the best allocation so far as it goes.
+ */
+
+const LIMITS = BATCH_LIMITS.optimizeAllocation;
+const STEPS = [5, 10];
+
+const openBound = () => ({ min: "0", max: "100" });
+
+export default function AllocationOptimizer({ scenario, onApply }) {
+  const { buckets } = scenario;
+  const [objective, setObjective] = useState("success");
+  const [bounds, setBounds] = useState(() => buckets.map(openBound));
+  const [step, setStep] = useState(10);
+  const [years, setYears] = useState("30");
+  const [runs, setRuns] = useState("300");
+  const [result, setResult] = useState(null);
+  const { job, start } = useBackgroundTask(); // the running search
+  const [progress, setProgress] = useState(null); // { evaluations, leader } so far
+
+  // Bounds follow the bucket list: start again from 0-100% when buckets are added or removed
+  const rows = bounds.length === buckets.length ? bounds : buckets.map(openBound);
+  const shown = result && result.best.allocations.length === buckets.length ? result : null;
+
+  const updateBound = (idx, patch) => setBounds(rows.map((b, i) => (i === idx ? { ...b, ...patch } : b)));
+
+  function runOptimizer() {
+    const horizon = Math.round(Number(years));
+    const runCount = Math.round(Number(runs));
+    const errors = validateBatchSize("optimizeAllocation", { runs: runCount, years: horizon });
+    if (errors.length) {
+      alert(errors.join("\n"));
+      return;
+    }
+
+    // Track optimiser run
+    if (window.gtag) {
+      window.gtag('event', 'allocation_optimized', {
+        'objective': objective,
+        'bucket_count': buckets.length,
+        'step': step,
+        'years': horizon
+      });
+    }
+
+    setProgress(null);
+    start("optimizeAllocation", {
+      scenario,
+      options: {
+        objective,
+        bounds: rows.map(b => ({ min: Number(b.min), max: Number(b.max) })),
+        step,
+        years: horizon,
+        runs: runCount,
+        seed: scenario.seed
+      }
+    }, { onProgress: setProgress, onResult: setResult });
+  }
+
+  const lakh = (amount) => (amount / 100000).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+  // groups[dataset][point] is the candidate drawn there, for clicks on the chart
+  const chart = useMemo(() => {
+    if (!shown) return null;
+    const describe = (c) => `${c.allocations.map((a, i) => `${buckets[i].name} ${a}%`).join(", ")}: `
+      + `success ${(c.success * 100).toFixed(1)}%, median ${(c.median / 100000).toLocaleString(undefined, { maximumFractionDigits: 2 })} Lakh, `
+      + `volatility ${c.risk.toFixed(1)}%`;
+    const y = c => (shown.objective === "success" ? c.success * 100 : c.median);
+    const groups = [shown.candidates, shown.frontier, [shown.best]];
+    const point = c => ({ x: c.risk, y: y(c) });
+    return {
+      groups,
+      data: {
+        datasets: [
+          { label: "Allocations tried", data: groups[0].map(point), backgroundColor: "#9CA3AF", pointRadius: 3, notes: groups[0].map(describe) },
+          { label: "Frontier", data: groups[1].map(point), borderColor: "#4ADE80", backgroundColor: "#4ADE80", showLine: true, borderWidth: 2, pointRadius: 5, notes: groups[1].map(describe) },
+          { label: "Best", data: groups[2].map(point), backgroundColor: "#FACC15", pointStyle: "star", pointRadius: 10, notes: groups[2].map(describe) }
+        ]
+      }
+    };
+  }, [shown, buckets]);
+
+  const chartOptions = useMemo(() => {
+    const base = corpusChartOptions(shown && shown.objective === "success" ? "Success probability (%)" : "Median final corpus (₹)");
+    return {
+      ...base,
+      scales: {
+        ...base.scales,
+        x: { type: "linear", ticks: { color: "#fff" }, title: { display: true, text: "Portfolio volatility (%)", color: "#fff" } }
+      },
+      onClick: (event, elements) => {
+        const el = elements[0];
+        if (el && chart) onApply(chart.groups[el.datasetIndex][el.index].allocations);
+      }
+    };
+  }, [shown, chart, onApply]);
+
+  return (
+    <div className="bg-gray-800 p-3 rounded space-y-3 text-sm">
+      <div className="font-semibold">Allocation optimiser</div>
+      <div className="text-xs text-gray-400">
+        Tries allocations in {step}% steps within the bounds, each run as a Monte Carlo batch (Auto mode, seed {scenario.seed}) with the
+        current returns, volatilities and correlations.
+      </div>
+
+      <table className="table-auto text-xs border-collapse">
+        <thead>
+          <tr>
+            <th className="p-1 border">Bucket</th>
+            <th className="p-1 border">Min %</th>
+            <th className="p-1 border">Max %</th>
+          </tr>
+        </thead>
+        <tbody>
+          {buckets.map((b, i) => (
+            <tr key={i}>
+              <td className="p-1 border">{b.name}</td>
+              <td className="p-1 border">
+                <input className="w-16 p-1 bg-gray-700 rounded" type="number" min="0" max="100" value={rows[i].min} onChange={e => updateBound(i, { min: e.target.value })} />
+              </td>
+              <td className="p-1 border">
+                <input className="w-16 p-1 bg-gray-700 rounded" type="number" min="0" max="100" value={rows[i].max} onChange={e => updateBound(i, { max: e.target.value })} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2">
+          Maximise
+          <select className="p-1 bg-gray-700 rounded" value={objective} onChange={e => setObjective(e.target.value)}>
+            {Object.entries(OPTIMIZER_OBJECTIVES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Step
+          <select className="p-1 bg-gray-700 rounded" value={step} onChange={e => setStep(Number(e.target.value))}>
+            {STEPS.map(s => <option key={s} value={s}>{s}%</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Years
+          <input className="w-16 p-1 bg-gray-700 rounded" type="number" min="1" max={LIMITS.maxYears} value={years} onChange={e => setYears(e.target.value)} />
+        </label>
+        <label className="flex items-center gap-2">
+          Simulations
+          <input className="w-20 p-1 bg-gray-700 rounded" type="number" min={LIMITS.minRuns} max={LIMITS.maxRuns} step="100" value={runs} onChange={e => setRuns(e.target.value)} />
+        </label>
+        <button className="px-4 py-2 bg-green-600 rounded disabled:opacity-50" onClick={runOptimizer} disabled={job !== null}>
+          {job ? "Optimising…" : "Optimise"}
+        </button>
+      </div>
+      {job && (
+        <TaskProgress
+          fraction={null}
+          label={progress
+            ? `${progress.evaluations} allocations tried; best so far ${progress.leader.allocations.join("/")}% `
+              + `(success ${(progress.leader.success * 100).toFixed(1)}%, median ${lakh(progress.leader.median)} Lakh)`
+            : "Starting…"}
+          onCancel={job.cancellable ? job.cancel : null}
+        />
+      )}
+
+      {shown && (
+        <div className="space-y-3">
+          <div className="text-xs text-gray-400">
+            {shown.evaluations} allocations tried. Click a point on the chart to use its allocation.
+          </div>
+          <Scatter data={chart.data} options={chartOptions} />
+          <div className="overflow-auto">
+            <table className="table-auto w-full text-xs border-collapse">
+              <thead>
+                <tr>
+                  {buckets.map((b, i) => <th key={i} className="p-1 border">{b.name} %</th>)}
+                  <th className="p-1 border">Volatility %</th>
+                  <th className="p-1 border">Avg return %</th>
+                  <th className="p-1 border">Success</th>
+                  <th className="p-1 border">Median final (Lakh)</th>
+                  <th className="p-1 border"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.frontier.map((c, k) => (
+                  <tr key={k} className={c === shown.best ? "text-yellow-300 font-semibold" : ""}>
+                    {c.allocations.map((a, i) => <td key={i} className="p-1 border text-right">{a}</td>)}
+                    <td className="p-1 border text-right">{c.risk.toFixed(1)}</td>
+                    <td className="p-1 border text-right">{c.expectedReturn.toFixed(2)}</td>
+                    <td className="p-1 border text-right">{(c.success * 100).toFixed(1)}%</td>
+                    <td className="p-1 border text-right">{lakh(c.median)}</td>
+                    <td className="p-1 border">
+                      <button className="px-2 py-1 bg-blue-600 rounded" onClick={() => onApply(c.allocations)}>Apply</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
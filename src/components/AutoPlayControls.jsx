@@ -0,0 +1,88 @@
+// src/components/AutoPlayControls.jsx
+import React from "react";
+
+const PLAY_SPEEDS = [1, 2, 5, 10]; // years per second
+
+/**
+ * Play/pause and "run to year N" for the interactive simulation, plus the stop
+ * conditions both of them honour (see src/engine/autoPlay.js). Next Year is the
+ * single step. `status` is why play last stopped, if it did.
+ */
+export default function AutoPlayControls({
+  playing,
+  speed,
+  targetYear,
+  conditions,
+  status,
+  bucketName,
+  onTogglePlay,
+  onSpeedChange,
+  onTargetYearChange,
+  onRunTo,
+  onConditionsChange
+}) {
+  const update = (patch) => onConditionsChange({ ...conditions, ...patch });
+  // An optional condition: off is null, on starts from `initial`
+  const toggle = (key, initial) => (e) => update({ [key]: e.target.checked ? initial : null });
+
+  return (
+    <div className="bg-gray-800 p-3 rounded text-sm space-y-2">
+      <div className="flex flex-wrap items-center gap-3">
+        <button className={`px-4 py-2 rounded ${playing ? "bg-yellow-600" : "bg-green-600"}`} onClick={onTogglePlay}>
+          {playing ? "⏸ Pause" : "▶ Play"}
+        </button>
+        <label className="flex items-center gap-2">
+          Speed
+          <select className="p-1 bg-gray-700 rounded" value={speed} onChange={e => onSpeedChange(Number(e.target.value))}>
+            {PLAY_SPEEDS.map(s => <option key={s} value={s}>{s} year{s === 1 ? "" : "s"}/sec</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Up to year
+          <input className="w-20 p-1 bg-gray-700 rounded" type="number" min="1" value={targetYear} onChange={e => onTargetYearChange(e.target.value)} />
+        </label>
+        <button className="px-3 py-2 bg-gray-700 rounded disabled:opacity-50" onClick={onRunTo} disabled={playing} title="Simulate straight to that year, stopping early on the conditions below">
+          Run to year
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-300">
+        <span className="text-gray-400">Stop when:</span>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={conditions.depleted} onChange={e => update({ depleted: e.target.checked })} />
+          corpus is depleted
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={conditions.liquidYears !== null} onChange={toggle("liquidYears", 2)} />
+          {bucketName} below
+          <input
+            className="w-14 p-1 bg-gray-700 rounded disabled:opacity-50"
+            type="number"
+            min="0"
+            step="0.5"
+            value={conditions.liquidYears ?? 2}
+            disabled={conditions.liquidYears === null}
+            onChange={e => update({ liquidYears: Number(e.target.value) })}
+          />
+          years of expenses
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={conditions.totalBelow !== null} onChange={toggle("totalBelow", 50 * 100000)} />
+          total below
+          <input
+            className="w-20 p-1 bg-gray-700 rounded disabled:opacity-50"
+            type="number"
+            min="0"
+            value={(conditions.totalBelow ?? 50 * 100000) / 100000}
+            disabled={conditions.totalBelow === null}
+            onChange={e => update({ totalBelow: Number(e.target.value) * 100000 })}
+          />
+          Lakh
+        </label>
+        <span className="text-gray-400">Manual mode always stops for a needed transfer.</span>
+      </div>
+
+      {status && <div className="text-xs text-yellow-300">{status}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+// src/components/BacktestPanel.jsx
+import React, { useState, useMemo } from "react";
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend
+} from "chart.js";
+import { Line } from "react-chartjs-2";
+import { HISTORICAL_SERIES } from "../data/indiaReturns.js";
+import {
+  FIRST_HISTORICAL_YEAR,
+  LAST_HISTORICAL_YEAR,
+  runRollingBacktest
+} from "../engine/backtest.js";
+import { guessSeries } from "../engine/assetClasses.js";
+import { validateScenario } from "../engine/simulation.js";
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+/**
+ * Historical backtest
+ *
+ * Maps each bucket to a bundled Indian market return series and replays every
+ * possible retirement start year (rolling windows) with Auto-mode withdrawals,
+ * listing which start years would have run out of money and why.
+ */
+
+const DATA_YEARS = LAST_HISTORICAL_YEAR - FIRST_HISTORICAL_YEAR + 1;
+
+export default function BacktestPanel({ scenario }) {
+  const { buckets } = scenario;
+  const [mapping, setMapping] = useState({}); // bucket name -> series key, when changed from the guess
+  const [years, setYears] = useState("15");
+  const [wrap, setWrap] = useState(false);
+  const [result, setResult] = useState(null);
+
+  // keyed by name so the choices survive buckets being added or removed
+  const bucketMapping = buckets.map(b => mapping[b.name] || guessSeries(b.name));
+
+  function runBacktest() {
+    const errors = validateScenario(scenario);
+    const horizon = Math.round(Number(years));
+    if (!(horizon >= 1)) errors.push("Horizon must be at least 1 year");
+    if (errors.length) {
+      alert(errors.join("\n"));
+      return;
+    }
+
+    // Track backtest run
+    if (window.gtag) {
+      window.gtag('event', 'backtest_run', {
+        'years': horizon,
+        'wrap_around': wrap
+      });
+    }
+
+    try {
+      setResult(runRollingBacktest(scenario, { years: horizon, mapping: bucketMapping, wrap }));
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  const chartData = useMemo(() => {
+    if (!result) return null;
+    return {
+      labels: Array.from({ length: result.years }, (_, i) => `Year ${i + 1}`),
+      datasets: result.windows.map(w => ({
+        label: `Start ${w.startYear}`,
+        data: w.history.map(r => r.total),
+        fill: false,
+        borderColor: w.depletedIn ? "#F87171" : "rgba(74, 222, 128, 0.6)",
+        borderWidth: w.depletedIn ? 2 : 1,
+        pointRadius: 0,
+        tension: 0.2
+      }))
+    };
+  }, [result]);
+
+  const lakh = (n) => Math.round(n / 100000).toLocaleString();
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-gray-800 p-3 rounded">
+        <div className="font-semibold mb-1">Historical backtest ({FIRST_HISTORICAL_YEAR}–{LAST_HISTORICAL_YEAR})</div>
+        <div className="text-xs text-gray-400 mb-3">
+          Replays approximate actual annual returns for every retirement start year using the current inputs and Auto-mode withdrawals.
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <div className="text-sm font-semibold">Bucket → data series</div>
+            {buckets.map((b, i) => (
+              <div key={i} className="flex items-center gap-2 text-sm">
+                <div className="w-56">{b.name}</div>
+                <select
+                  value={bucketMapping[i]}
+                  onChange={e => {
+                    const value = e.target.value;
+                    setMapping(prev => ({ ...prev, [b.name]: value }));
+                  }}
+                  className="p-2 bg-gray-700 rounded flex-1"
+                >
+                  {HISTORICAL_SERIES.map(s => (
+                    <option key={s.key} value={s.key}>{s.label}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <div className="space-y-3">
+            <label className="flex flex-col text-sm">
+              Horizon (years)
+              <input
+                className="mt-1 p-2 bg-gray-700 text-white rounded w-32"
+                type="number"
+                min="1"
+                value={years}
+                onChange={e => setYears(e.target.value)}
+              />
+            </label>
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={wrap} onChange={e => setWrap(e.target.checked)} />
+              Wrap around to {FIRST_HISTORICAL_YEAR} after {LAST_HISTORICAL_YEAR} (needed for horizons over {DATA_YEARS} years)
+            </label>
+            <button className="px-4 py-2 bg-green-600 rounded" onClick={runBacktest}>Run backtest</button>
+          </div>
+        </div>
+      </div>
+
+      {result && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="bg-gray-800 p-3 rounded overflow-auto">
+            <div className="font-semibold mb-2">
+              {result.failures === 0
+                ? `All ${result.windows.length} start years lasted ${result.years} years`
+                : `${result.failures} of ${result.windows.length} start years ran out of money`}
+            </div>
+            <table className="table-auto w-full text-sm border-collapse">
+              <thead>
+                <tr>
+                  <th className="p-1 border">Start year</th>
+                  <th className="p-1 border">Outcome</th>
+                  <th className="p-1 border">Min (Lakh)</th>
+                  <th className="p-1 border">Final (Lakh)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.windows.map(w => (
+                  <React.Fragment key={w.startYear}>
+                    <tr className={w.depletedIn ? "text-red-400" : ""}>
+                      <td className="p-1 border text-center">{w.startYear}</td>
+                      <td className="p-1 border text-center">{w.depletedIn ? `Depleted in year ${w.depletedIn}` : "Survived"}</td>
+                      <td className="p-1 border text-center">{lakh(w.minTotal)}</td>
+                      <td className="p-1 border text-center">{lakh(w.finalTotal)}</td>
+                    </tr>
+                    {w.reason && (
+                      <tr>
+                        <td className="p-1 border text-xs text-gray-300" colSpan={4}>{w.reason}</td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="bg-gray-800 p-3 rounded">
+            <div className="font-semibold mb-2">Total corpus by start year</div>
+            <Line
+              data={chartData}
+              options={{
+                plugins: {
+                  legend: { display: false },
+                  tooltip: {
+                    callbacks: {
+                      label: function(context) {
+                        return `${context.dataset.label}: ${lakh(context.parsed.y)} Lakh`;
+                      }
+                    }
+                  }
+                },
+                scales: {
+                  y: {
+                    ticks: { color: "#fff" },
+                    title: { display: true, text: "Amount (₹)", color: "#fff" }
+                  },
+                  x: {
+                    ticks: { color: "#fff" }
+                  }
+                }
+              }}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+// src/components/CashFlowEditor.jsx
+import React from "react";
+import { newCashFlow } from "../engine/cashFlows.js";
+import NumberInput from "./NumberInput.jsx";
+
+/**
+ * Schedule of pensions, rent, annuities and one-off lump sums
+ * (see src/engine/cashFlows.js). Amounts are entered in lakh.
+ */
+export default function CashFlowEditor({ cashFlows, onChange }) {
+  const update = (idx, patch) => onChange(cashFlows.map((cf, i) => i === idx ? { ...cf, ...patch } : cf));
+  const remove = (idx) => onChange(cashFlows.filter((_, i) => i !== idx));
+
+  return (
+    <div className="bg-gray-800 p-3 rounded space-y-2">
+      <div className="flex items-center gap-2">
+        <div className="text-sm font-semibold">Income and one-off cash flows</div>
+        <div className="ml-auto flex gap-2">
+          <button type="button" className="px-2 py-1 bg-gray-700 rounded text-sm" onClick={() => onChange([...cashFlows, newCashFlow("recurring")])}>
+            + Recurring
+          </button>
+          <button type="button" className="px-2 py-1 bg-gray-700 rounded text-sm" onClick={() => onChange([...cashFlows, newCashFlow("once")])}>
+            + One-off
+          </button>
+        </div>
+      </div>
+
+      {cashFlows.length === 0 && (
+        <div className="text-xs text-gray-400">None: the yearly expense is the only cash flow.</div>
+      )}
+
+      {cashFlows.map((cf, idx) => (
+        <div key={idx} className="bg-gray-700/50 p-2 rounded text-sm flex items-center gap-2 flex-wrap">
+          <input
+            className="w-32 p-1 bg-gray-700 rounded"
+            value={cf.name}
+            onChange={e => update(idx, { name: e.target.value })}
+          />
+          <select value={cf.flow} onChange={e => update(idx, { flow: e.target.value })} className="p-1 bg-gray-700 rounded">
+            <option value="in">Inflow</option>
+            <option value="out">Outflow</option>
+          </select>
+          <NumberInput
+            className="w-20 p-1 bg-gray-700 rounded"
+            min="0"
+            step="0.5"
+            value={cf.amount}
+            scale={100000}
+            onCommit={v => update(idx, { amount: v })}
+          />
+          Lakh
+          {cf.type === "once" ? (
+            <>
+              in year
+              <NumberInput
+                className="w-16 p-1 bg-gray-700 rounded"
+                min="1"
+                value={cf.startYear}
+                onCommit={v => update(idx, { startYear: v })}
+              />
+            </>
+          ) : (
+            <>
+              a year from year
+              <NumberInput
+                className="w-16 p-1 bg-gray-700 rounded"
+                min="1"
+                value={cf.startYear}
+                onCommit={v => update(idx, { startYear: v })}
+              />
+              to
+              <NumberInput
+                className="w-16 p-1 bg-gray-700 rounded"
+                min="1"
+                placeholder="end"
+                value={cf.endYear}
+                allowEmpty
+                onCommit={v => update(idx, { endYear: v })}
+              />
+              growing
+              <NumberInput
+                className="w-16 p-1 bg-gray-700 rounded"
+                step="0.5"
+                value={cf.growth}
+                onCommit={v => update(idx, { growth: v })}
+              />
+              % a year
+            </>
+          )}
+          <button type="button" className="ml-auto px-2 py-1 bg-red-700 rounded" title="Remove" onClick={() => remove(idx)}>✕</button>
+        </div>
+      ))}
+
+      {cashFlows.length > 0 && (
+        <div className="text-xs text-gray-400">
+          Years count from 1 like the history table; leave the end year blank to continue for the whole run. Inflows pay the expense first and any surplus is added to the first bucket.
+        </div>
+      )}
+    </div>
+  );
+}
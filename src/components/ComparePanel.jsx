@@ -0,0 +1,189 @@
+// src/components/ComparePanel.jsx
+import React, { useState, useMemo } from "react";
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend
+} from "chart.js";
+import { Line } from "react-chartjs-2";
+import { MAX_VARIANTS, MIN_VARIANTS, runComparison } from "../engine/compare.js";
+import { bucketColor } from "./bucketColors.js";
+import { corpusChartOptions, lineDataset } from "./chartStyles.js";
+import { loadSavedScenarios } from "./savedScenarios.js";
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+/**
+ * Scenario comparison
+ *
+ * Two to four variants, each the current inputs or a saved scenario with its
+ * own bucket allocations, run in Auto mode on the same return path (the current
+ * seed) and shown as overlaid total-corpus lines plus a summary table.
+ */
+
+const MAX_YEARS = 100;
+const VARIANT_LETTERS = "ABCD";
+
+const newVariant = (n) => ({ label: `Variant ${VARIANT_LETTERS[n]}`, source: "", allocations: null });
+
+export default function ComparePanel({ scenario }) {
+  const [saved] = useState(() => loadSavedScenarios());
+  const [variants, setVariants] = useState(() => [newVariant(0), newVariant(1)]);
+  const [years, setYears] = useState("30");
+  const [results, setResults] = useState(null);
+
+  // "" is the current inputs, anything else a saved scenario's name
+  const sourceScenario = (source) => saved.find(f => f.name === source)?.scenario || scenario;
+
+  // Allocation inputs for a variant; its own edits while they still fit the source's buckets
+  function allocationsFor(v) {
+    const { buckets } = sourceScenario(v.source);
+    return v.allocations && v.allocations.length === buckets.length ? v.allocations : buckets.map(b => String(b.allocation));
+  }
+
+  const update = (idx, patch) => setVariants(prev => prev.map((v, i) => (i === idx ? { ...v, ...patch } : v)));
+
+  function runCompare() {
+    const horizon = Math.round(Number(years));
+    if (!(horizon >= 1 && horizon <= MAX_YEARS)) {
+      alert(`Years must be between 1 and ${MAX_YEARS}`);
+      return;
+    }
+
+    // Track comparison run
+    if (window.gtag) {
+      window.gtag('event', 'comparison_run', {
+        'variants': variants.length,
+        'years': horizon
+      });
+    }
+
+    try {
+      const runs = variants.map(v => {
+        const source = sourceScenario(v.source);
+        const allocations = allocationsFor(v);
+        return {
+          label: v.label.trim() || "Unnamed",
+          scenario: { ...source, buckets: source.buckets.map((b, i) => ({ ...b, allocation: Number(allocations[i] || 0) })) }
+        };
+      });
+      setResults(runComparison(runs, { years: horizon, seed: scenario.seed }));
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  const chartData = useMemo(() => {
+    if (!results) return null;
+    const length = Math.max(...results.map(r => r.history.length));
+    return {
+      labels: Array.from({ length }, (_, i) => `Year ${i + 1}`),
+      datasets: results.map((r, i) => lineDataset(r.label, r.history.map(row => row.total), bucketColor(i).hex, true))
+    };
+  }, [results]);
+
+  const lakh = (amount) => (amount / 100000).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-gray-800 p-3 rounded space-y-3">
+        <div className="font-semibold">Compare scenarios</div>
+        <div className="text-xs text-gray-400">
+          Every variant runs in Auto mode with seed {scenario.seed}, so variants with the same buckets, return model and fixed or random inflation get exactly the same market returns each year.
+          Save scenarios on the Scenarios tab to compare them here.
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {variants.map((v, idx) => {
+            const source = sourceScenario(v.source);
+            const allocations = allocationsFor(v);
+            const sum = allocations.reduce((s, a) => s + Number(a || 0), 0);
+            return (
+              <div key={idx} className="bg-gray-700/50 p-2 rounded text-sm space-y-2">
+                <div className="flex items-center gap-2">
+                  <span className="w-3 h-3 rounded-full" style={{ background: bucketColor(idx).hex }} />
+                  <input className="flex-1 p-1 bg-gray-700 rounded" value={v.label} onChange={e => update(idx, { label: e.target.value })} />
+                  {variants.length > MIN_VARIANTS && (
+                    <button className="px-2 py-1 bg-red-700 rounded" title="Remove" onClick={() => setVariants(prev => prev.filter((_, i) => i !== idx))}>✕</button>
+                  )}
+                </div>
+                <label className="flex items-center gap-2">
+                  Start from
+                  <select className="flex-1 p-1 bg-gray-700 rounded" value={v.source} onChange={e => update(idx, { source: e.target.value, allocations: null })}>
+                    <option value="">Current inputs</option>
+                    {saved.map(f => <option key={f.name} value={f.name}>{f.name}</option>)}
+                  </select>
+                </label>
+                {source.buckets.map((b, i) => (
+                  <label key={i} className="flex items-center justify-between gap-2">
+                    {b.name}
+                    <span>
+                      <input
+                        className="w-20 p-1 bg-gray-700 rounded"
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={allocations[i]}
+                        onChange={e => update(idx, { allocations: allocations.map((a, j) => (j === i ? e.target.value : a)) })}
+                      /> %
+                    </span>
+                  </label>
+                ))}
+                <div className={`text-xs ${sum === 100 ? "text-gray-400" : "text-red-400"}`}>Allocation total: {sum}%</div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex items-center gap-3 text-sm">
+          {variants.length < MAX_VARIANTS && (
+            <button className="px-3 py-2 bg-gray-700 rounded" onClick={() => setVariants(prev => [...prev, newVariant(prev.length)])}>+ Add variant</button>
+          )}
+          <label className="flex items-center gap-2">
+            Years
+            <input className="w-20 p-2 bg-gray-700 text-white rounded" type="number" min="1" max={MAX_YEARS} value={years} onChange={e => setYears(e.target.value)} />
+          </label>
+          <button className="px-4 py-2 bg-green-600 rounded" onClick={runCompare}>Run comparison</button>
+        </div>
+      </div>
+
+      {results && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="bg-gray-800 p-3 rounded overflow-auto">
+            <div className="font-semibold mb-2">Summary</div>
+            <table className="table-auto w-full text-sm border-collapse">
+              <thead>
+                <tr>
+                  <th className="p-1 border">Variant</th>
+                  <th className="p-1 border">Final corpus (Lakh)</th>
+                  <th className="p-1 border">Runs out</th>
+                  <th className="p-1 border">Minimum corpus (Lakh)</th>
+                  <th className="p-1 border">Total withdrawn (Lakh)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((r, i) => (
+                  <tr key={i}>
+                    <td className="p-1 border" style={{ color: bucketColor(i).hex }}>{r.label}</td>
+                    <td className="p-1 border text-right">{lakh(r.finalCorpus)}</td>
+                    <td className="p-1 border text-right">{r.depletedIn ? `Year ${r.depletedIn}` : "Never"}</td>
+                    <td className="p-1 border text-right">{lakh(r.minCorpus)}</td>
+                    <td className="p-1 border text-right">{lakh(r.totalWithdrawn)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="bg-gray-800 p-3 rounded">
+            <div className="font-semibold mb-2">Total corpus by variant</div>
+            <Line data={chartData} options={corpusChartOptions()} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+// src/components/CorrelationEditor.jsx
+import React, { useState } from "react";
+import {
+  CORRELATION_PRESETS,
+  nearestCorrelationMatrix,
+  presetCorrelationMatrix,
+  setCorrelation,
+  validateCorrelationMatrix
+} from "../engine/correlation.js";
+import NumberInput from "./NumberInput.jsx";
+
+/**
+ * Pairwise correlation editor. The upper triangle is editable and mirrored
+ * below; the diagonal is locked to 1. Flags matrices that are not positive
+ * definite and offers a repair to the nearest valid correlation matrix.
+ */
+
+// Entries are shown to 3 decimals and kept within -1..1
+const roundCorrelation = v => String(Math.round(v * 1000) / 1000);
+const clampCorrelation = v => Math.max(-1, Math.min(1, v));
+
+export default function CorrelationEditor({ matrix, buckets, onChange }) {
+  const [preset, setPreset] = useState("estimates");
+  const errors = validateCorrelationMatrix(matrix, buckets.length);
+  const valid = errors.length === 0;
+
+  return (
+    <div className="bg-gray-800 p-3 rounded space-y-2">
+      <div className="flex items-center gap-2 flex-wrap">
+        <div className="text-sm font-semibold">Correlations between buckets</div>
+        <div className="ml-auto flex gap-2">
+          <select value={preset} onChange={e => setPreset(e.target.value)} className="p-1 bg-gray-700 rounded text-sm">
+            {Object.entries(CORRELATION_PRESETS).map(([key, p]) => (
+              <option key={key} value={key}>{p.label}</option>
+            ))}
+          </select>
+          <button type="button" className="px-2 py-1 bg-gray-700 rounded text-sm" onClick={() => onChange(presetCorrelationMatrix(preset, buckets))}>
+            Apply preset
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-auto">
+        <table className="text-xs border-collapse">
+          <thead>
+            <tr>
+              <th></th>
+              {buckets.map((b, j) => (
+                <th key={j} className="p-1 font-normal text-gray-300 max-w-20 truncate" title={b.name}>{b.name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {buckets.map((b, i) => (
+              <tr key={i}>
+                <th className="p-1 font-normal text-gray-300 text-left whitespace-nowrap">{b.name}</th>
+                {buckets.map((_, j) => (
+                  <td key={j} className="p-1 text-center">
+                    {i === j ? (
+                      <span className="text-gray-500">1</span>
+                    ) : j > i ? (
+                      <NumberInput
+                        className="w-16 p-1 bg-gray-700 text-white rounded text-center"
+                        min="-1"
+                        max="1"
+                        step="0.05"
+                        value={matrix[i][j]}
+                        format={roundCorrelation}
+                        clamp={clampCorrelation}
+                        onCommit={v => onChange(setCorrelation(matrix, i, j, v))}
+                      />
+                    ) : (
+                      <span className="text-gray-400">{roundCorrelation(matrix[i][j])}</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {valid ? (
+        <div className="text-xs text-green-400">Valid correlation matrix (positive definite)</div>
+      ) : (
+        <div className="flex items-center gap-2">
+          <div className="text-xs text-red-400">{errors.join("; ")}</div>
+          <button type="button" className="ml-auto px-2 py-1 bg-yellow-600 rounded text-sm whitespace-nowrap" onClick={() => onChange(nearestCorrelationMatrix(matrix))}>
+            Repair to nearest valid
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
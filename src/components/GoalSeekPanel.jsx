@@ -0,0 +1,117 @@
+// src/components/GoalSeekPanel.jsx
+import React, { useState } from "react";
+import { BATCH_LIMITS, validateBatchSize } from "../engine/batchTasks.js";
+import { GOAL_SEEK_MODES } from "../engine/goalSeek.js";
+import TaskProgress from "./TaskProgress.jsx";
+import { useBackgroundTask } from "./useBackgroundTask.js";
+
+/**
+ * Goal seek (see src/engine/goalSeek.js): the largest first-year expense or the
+ * smallest corpus that reaches a target probability of success over a horizon,
+ * found by re-running the Monte Carlo batch with the current inputs and seed
+ * (in a Web Worker). `onApply(solveFor, amount)` copies an answer into the inputs.
+ */
+
+const LIMITS = BATCH_LIMITS.goalSeek;
+
+export default function GoalSeekPanel({ scenario, onApply }) {
+  const [solveFor, setSolveFor] = useState("expense");
+  const [target, setTarget] = useState("90");
+  const [years, setYears] = useState("30");
+  const [runs, setRuns] = useState("500");
+  const [result, setResult] = useState(null);
+  const { job, start } = useBackgroundTask(); // the running solve
+  const [batches, setBatches] = useState(0); // Monte Carlo batches run so far
+
+  function solve() {
+    const targetPct = Number(target);
+    const horizon = Math.round(Number(years));
+    const runCount = Math.round(Number(runs));
+    if (!(targetPct > 0 && targetPct < 100)) {
+      alert("Target success must be between 0 and 100%");
+      return;
+    }
+    const errors = validateBatchSize("goalSeek", { runs: runCount, years: horizon });
+    if (errors.length) {
+      alert(errors.join("\n"));
+      return;
+    }
+
+    // Track goal seek
+    if (window.gtag) {
+      window.gtag('event', 'goal_seek_run', {
+        'solve_for': solveFor,
+        'target_success': targetPct,
+        'years': horizon,
+        'runs': runCount
+      });
+    }
+
+    // the input held fixed, as it was when solved
+    const given = solveFor === "expense" ? scenario.corpus : scenario.firstYearExpenses;
+    setBatches(0);
+    start("goalSeek", {
+      scenario,
+      options: { solveFor, targetSuccess: targetPct / 100, years: horizon, runs: runCount, seed: scenario.seed }
+    }, {
+      onProgress: ({ evaluations }) => setBatches(evaluations),
+      onResult: answer => setResult({ ...answer, given }),
+      onError: err => {
+        setResult(null);
+        alert(err.message);
+      }
+    });
+  }
+
+  const lakh = (amount) => (amount / 100000).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+  return (
+    <div className="bg-gray-800 p-3 rounded space-y-2 text-sm">
+      <div className="font-semibold">Goal seek</div>
+      <div className="text-xs text-gray-400">
+        Re-runs the Monte Carlo batch (Auto mode, seed {scenario.seed}) with the other inputs as they are, until the success rate meets the target.
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="flex items-center justify-between gap-2">
+          Solve for
+          <select className="p-1 bg-gray-700 rounded" value={solveFor} onChange={e => setSolveFor(e.target.value)}>
+            {Object.entries(GOAL_SEEK_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          Target success (%)
+          <input className="w-20 p-1 bg-gray-700 rounded" type="number" min="1" max="99" value={target} onChange={e => setTarget(e.target.value)} />
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          Horizon (years)
+          <input className="w-20 p-1 bg-gray-700 rounded" type="number" min="1" max={LIMITS.maxYears} value={years} onChange={e => setYears(e.target.value)} />
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          Simulations per guess
+          <input className="w-20 p-1 bg-gray-700 rounded" type="number" min={LIMITS.minRuns} max={LIMITS.maxRuns} step="100" value={runs} onChange={e => setRuns(e.target.value)} />
+        </label>
+      </div>
+      <button className="px-4 py-2 bg-green-600 rounded disabled:opacity-50" onClick={solve} disabled={job !== null}>
+        {job ? "Solving…" : "Solve"}
+      </button>
+      {job && <TaskProgress fraction={null} label={`${batches} batches run`} onCancel={job.cancellable ? job.cancel : null} />}
+
+      {result && (
+        <div className="bg-gray-700/50 p-2 rounded space-y-1">
+          <div>
+            {GOAL_SEEK_MODES[result.solveFor]}: <span className="text-lg font-bold">{lakh(result.value)} Lakh</span>
+            {result.solveFor === "expense" ? ` for a corpus of ${lakh(result.given)} Lakh` : ` for a first-year expense of ${lakh(result.given)} Lakh`}
+          </div>
+          <div className="text-xs text-gray-300">
+            Estimated success {(result.success * 100).toFixed(1)}% over {result.years} years.
+            95% band: {lakh(result.band[0])} – {lakh(result.band[1])} Lakh (success rate ±{(result.margin * 100).toFixed(1)} points with {result.runs} simulations;
+            more simulations narrow it). {result.evaluations} batches run.
+          </div>
+          <button className="px-3 py-1 bg-blue-600 rounded" onClick={() => onApply(result.solveFor, result.value)}>
+            Use as {result.solveFor === "expense" ? "first-year expense" : "corpus"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
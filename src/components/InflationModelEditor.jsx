@@ -0,0 +1,42 @@
+// src/components/InflationModelEditor.jsx
+import React from "react";
+import NumberInput from "./NumberInput.jsx";
+
+/**
+ * Fixed or random inflation (see src/engine/inflation.js). When random, the
+ * Inflation % input is the average and each year's rate is drawn around it.
+ */
+export default function InflationModelEditor({ model, onChange }) {
+  const update = (patch) => onChange({ ...model, ...patch });
+
+  const numberInput = (key, label, props) => (
+    <label className="flex items-center justify-between gap-2">
+      {label}
+      <NumberInput
+        className="w-20 p-1 bg-gray-700 rounded"
+        {...props}
+        value={model[key]}
+        onCommit={v => update({ [key]: v })}
+      />
+    </label>
+  );
+
+  return (
+    <div className="bg-gray-800 p-3 rounded space-y-2 text-sm">
+      <label className="flex items-center gap-2 font-semibold">
+        <input type="checkbox" checked={model.stochastic} onChange={e => update({ stochastic: e.target.checked })} />
+        Random inflation each year
+      </label>
+      {model.stochastic && (
+        <>
+          {numberInput("volatility", "Volatility (%)", { min: "0", step: "0.5" })}
+          {numberInput("debtCorrelation", "Correlation with debt returns", { min: "-1", max: "1", step: "0.1" })}
+          {numberInput("goldCorrelation", "Correlation with gold returns", { min: "-1", max: "1", step: "0.1" })}
+          <div className="text-xs text-gray-400">
+            Inflation % above is the average. Expenses follow the realised price index, so a run of high-inflation years raises spending for good.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
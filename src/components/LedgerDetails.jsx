@@ -0,0 +1,67 @@
+// src/components/LedgerDetails.jsx
+import React from "react";
+import { describeTransfer, rowLedger } from "../engine/ledger.js";
+import { describeRuleEvent } from "../engine/refillRules.js";
+
+const LINES = [
+  ["start", "Start of year"],
+  ["transfers", "Manual transfers"],
+  ["returns", "Returns"],
+  ["refills", "Refill-rule moves"],
+  ["cashIn", "Cash-flow surplus"],
+  ["withdrawn", "Withdrawn (expense and tax)"],
+  ["end", "End of year"]
+];
+
+/**
+ * Expanded history row: how each bucket got from the previous year-end value to
+ * this one (see src/engine/ledger.js), plus the year's transfers and rule moves.
+ * Amounts are nominal.
+ */
+export default function LedgerDetails({ row, previousEnd, buckets }) {
+  const ledger = rowLedger(row, previousEnd);
+  const lakh = (amount) => (amount / 100000).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const notes = [
+    ...row.transfers.map(t => describeTransfer(t, buckets)),
+    ...row.ruleEvents.map(ev => describeRuleEvent(ev, buckets))
+  ];
+
+  return (
+    <div className="p-2 bg-gray-900/60 text-xs space-y-2">
+      <table className="table-auto border-collapse">
+        <thead>
+          <tr>
+            <th className="p-1 border text-left">Year {row.year} (Lakh, nominal)</th>
+            {buckets.map((b, i) => <th key={i} className="p-1 border">{b.name}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {LINES.map(([key, label]) => {
+            const values = ledger[key];
+            const edge = key === "start" || key === "end";
+            if (!edge && values.every(v => Math.abs(v) < 0.5)) return null;
+            return (
+              <tr key={key} className={edge ? "font-semibold" : ""}>
+                <td className="p-1 border text-left">{label}</td>
+                {values.map((v, i) => {
+                  // withdrawals leave the bucket, so they show as negative like outgoing transfers
+                  const shown = key === "withdrawn" ? -v : v;
+                  return (
+                    <td key={i} className={`p-1 border text-right ${!edge && shown < -0.5 ? "text-red-400" : ""}`}>
+                      {lakh(Math.abs(shown) < 0.5 ? 0 : shown)}
+                    </td>
+                  );
+                })}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {notes.length > 0 && (
+        <ul className="list-disc list-inside text-left">
+          {notes.map((note, i) => <li key={i}>{note}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
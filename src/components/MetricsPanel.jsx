@@ -0,0 +1,69 @@
+// src/components/MetricsPanel.jsx
+import React, { useMemo } from "react";
+import { outcomeMetrics } from "../engine/metrics.js";
+
+/**
+ * Outcome metrics for the run so far (see src/engine/metrics.js). Amounts are
+ * nominal; recomputed whenever the simulation state changes.
+ */
+export default function MetricsPanel({ scenario, sim }) {
+  const metrics = useMemo(() => outcomeMetrics(scenario, sim), [scenario, sim]);
+
+  if (!metrics) {
+    return (
+      <div className="bg-gray-800 p-3 rounded text-sm text-gray-400">Outcome metrics appear after the first year.</div>
+    );
+  }
+
+  const lakh = (amount) => `${(amount / 100000).toLocaleString(undefined, { maximumFractionDigits: 2 })} Lakh`;
+  const pct = (value) => (value === null ? "—" : `${value.toFixed(2)}%`);
+  const { maxDrawdown } = metrics;
+
+  const cards = [
+    ["Depleted in", metrics.depletedIn ? `Year ${metrics.depletedIn}` : "Not depleted", "First year the expense could not be covered in full"],
+    ["Minimum corpus", lakh(metrics.minCorpus.amount), `Lowest year-end total (year ${metrics.minCorpus.year})`],
+    ["Final corpus", lakh(metrics.finalCorpus), "Total at the end of the latest year"],
+    ["Portfolio CAGR", pct(metrics.portfolioCagr), "Time-weighted: each year's returns over the corpus at its start, so withdrawals don't count as losses"],
+    [
+      "Max drawdown",
+      maxDrawdown ? `${maxDrawdown.pct.toFixed(1)}% (year ${maxDrawdown.troughYear})` : "None",
+      maxDrawdown ? `Fall of the total from its year-${maxDrawdown.peakYear} peak to year ${maxDrawdown.troughYear}, withdrawals included` : "The total has never fallen below an earlier peak"
+    ],
+    ["Total withdrawn", lakh(metrics.totalWithdrawn), `Expenses plus tax taken from the buckets (tax ${lakh(metrics.totalTax)})`],
+    ["Withdrawal rate", pct(metrics.withdrawalRate), "Next year's expense as a share of the corpus now"],
+    [
+      "Years of expenses left",
+      metrics.yearsOfExpenses === null ? "—" : metrics.yearsOfExpenses.toFixed(1),
+      "Corpus now over next year's expense, ignoring growth and inflation"
+    ]
+  ];
+
+  return (
+    <div className="bg-gray-800 p-3 rounded space-y-3">
+      <div className="font-semibold">Outcome metrics <span className="text-xs text-gray-400 font-normal">(nominal)</span></div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        {cards.map(([label, value, title]) => (
+          <div key={label} className="bg-gray-700/50 p-2 rounded" title={title}>
+            <div className="text-xs text-gray-400">{label}</div>
+            <div className={`text-lg font-bold ${label === "Depleted in" && metrics.depletedIn ? "text-red-400" : ""}`}>{value}</div>
+          </div>
+        ))}
+      </div>
+      <div className="text-sm">
+        <div className="text-xs text-gray-400 mb-1">Realised CAGR by bucket (average assumed)</div>
+        <div className="grid gap-2" style={{ gridTemplateColumns: `repeat(${metrics.bucketCagr.length}, minmax(0, 1fr))` }}>
+          {metrics.bucketCagr.map((value, i) => {
+            const bucket = scenario.buckets[i];
+            return (
+              <div key={i} className="text-center">
+                <div className="text-xs text-gray-400 truncate" title={bucket?.name}>{bucket?.name || `Bucket ${i + 1}`}</div>
+                <div className="font-medium">{pct(value)}</div>
+                {bucket && <div className="text-xs text-gray-400">({bucket.avgReturn}%)</div>}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,270 @@
+// src/components/MonteCarloPanel.jsx
+import React, { useState, useMemo } from "react";
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  Filler,
+  Tooltip,
+  Legend
+} from "chart.js";
+import { Line, Bar } from "react-chartjs-2";
+import { BATCH_LIMITS, validateBatchSize } from "../engine/batchTasks.js";
+import { validateScenario } from "../engine/simulation.js";
+import TaskProgress from "./TaskProgress.jsx";
+import { useBackgroundTask } from "./useBackgroundTask.js";
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, BarElement, Filler, Tooltip, Legend);
+
+/**
+ * Monte Carlo batch mode
+ *
+ * Runs N lifetimes over a configurable horizon using the current inputs and the
+ * Auto-mode withdrawal waterfall (manual transfers cannot be replayed in batch),
+ * then shows probability of success, a 10th/50th/90th percentile fan chart of
+ * total corpus and the distribution of depletion years. Batches are seeded
+ * with the run's seed, so they are reproducible too. The batch runs in a Web
+ * Worker; results update as runs complete, and a cancelled batch keeps them.
+ */
+
+const LIMITS = BATCH_LIMITS.monteCarlo;
+
+const axisOptions = {
+  y: {
+    ticks: { color: "#fff" },
+    title: { display: true, text: "Amount (₹)", color: "#fff" }
+  },
+  x: {
+    ticks: { color: "#fff" }
+  }
+};
+
+export default function MonteCarloPanel({ scenario, seed }) {
+  const [runs, setRuns] = useState("1000");
+  const [years, setYears] = useState("30");
+  const [result, setResult] = useState(null);
+  const { job, start } = useBackgroundTask(); // the running batch, with its `total` runs
+  const [done, setDone] = useState(0); // runs finished so far
+
+  function runSimulations() {
+    const runCount = Math.round(Number(runs));
+    const horizon = Math.round(Number(years));
+    const errors = [...validateScenario(scenario), ...validateBatchSize("monteCarlo", { runs: runCount, years: horizon })];
+    if (errors.length) {
+      alert(errors.join("\n"));
+      return;
+    }
+
+    // Track batch run
+    if (window.gtag) {
+      window.gtag('event', 'monte_carlo_run', {
+        'runs': runCount,
+        'years': horizon
+      });
+    }
+
+    setResult(null);
+    setDone(0);
+    start("monteCarlo", { ...scenario, years: horizon, runs: runCount, seed }, {
+      onProgress: ({ done: finished, partial }) => {
+        setDone(finished);
+        setResult(partial);
+      },
+      onResult: setResult,
+      extra: { total: runCount }
+    });
+  }
+
+  const fanData = useMemo(() => {
+    if (!result) return null;
+    const labels = result.percentiles.map(p => `Year ${p.year}`);
+    return {
+      labels,
+      datasets: [
+        {
+          label: "10th percentile",
+          data: result.percentiles.map(p => p.p10),
+          borderColor: "#F87171",
+          backgroundColor: "rgba(96, 165, 250, 0.25)",
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false,
+          tension: 0.2
+        },
+        {
+          label: "Median",
+          data: result.percentiles.map(p => p.p50),
+          borderColor: "#FFFFFF",
+          borderWidth: 4,
+          pointRadius: 0,
+          fill: false,
+          tension: 0.2
+        },
+        {
+          label: "90th percentile",
+          data: result.percentiles.map(p => p.p90),
+          borderColor: "#4ADE80",
+          backgroundColor: "rgba(96, 165, 250, 0.25)",
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: 0, // shade the band down to the 10th percentile
+          tension: 0.2
+        }
+      ]
+    };
+  }, [result]);
+
+  const depletionData = useMemo(() => {
+    if (!result) return null;
+    const years = result.depletionCounts.map((_, y) => y).slice(1);
+    return {
+      labels: years.map(y => `Year ${y}`),
+      datasets: [
+        {
+          label: "Runs depleted in year",
+          data: years.map(y => result.depletionCounts[y]),
+          backgroundColor: "#F87171"
+        }
+      ]
+    };
+  }, [result]);
+
+  // summary numbers
+  const summary = useMemo(() => {
+    if (!result) return null;
+    const last = result.percentiles[result.percentiles.length - 1];
+    const failed = result.runs - Math.round(result.successProbability * result.runs);
+    let medianDepletion = null;
+    if (failed > 0) {
+      let seen = 0;
+      for (let y = 1; y < result.depletionCounts.length; y++) {
+        seen += result.depletionCounts[y];
+        if (seen >= failed / 2) {
+          medianDepletion = y;
+          break;
+        }
+      }
+    }
+    return { last, failed, medianDepletion };
+  }, [result]);
+
+  const lakh = (n) => Math.round(n / 100000).toLocaleString();
+
+  return (
+    <div className="bg-gray-800 p-3 rounded">
+      <div className="font-semibold mb-2">Monte Carlo: run many lifetimes</div>
+      <div className="flex gap-4 items-end mb-4">
+        <label className="flex flex-col text-sm">
+          Simulations
+          <input
+            className="mt-1 p-2 bg-gray-700 text-white rounded w-32"
+            type="number"
+            min={LIMITS.minRuns}
+            max={LIMITS.maxRuns}
+            value={runs}
+            onChange={e => setRuns(e.target.value)}
+          />
+        </label>
+        <label className="flex flex-col text-sm">
+          Horizon (years)
+          <input
+            className="mt-1 p-2 bg-gray-700 text-white rounded w-32"
+            type="number"
+            min="1"
+            max={LIMITS.maxYears}
+            value={years}
+            onChange={e => setYears(e.target.value)}
+          />
+        </label>
+        <button className="px-4 py-2 bg-green-600 rounded disabled:opacity-50" onClick={runSimulations} disabled={job !== null}>
+          {job ? "Running…" : `Run ${Number(runs).toLocaleString()} simulations`}
+        </button>
+      </div>
+      {job && (
+        <div className="mb-4">
+          <TaskProgress
+            fraction={done / job.total}
+            label={`${done.toLocaleString()} of ${job.total.toLocaleString()} runs`}
+            onCancel={job.cancellable ? job.cancel : null}
+          />
+        </div>
+      )}
+
+      {result ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+              <div className="bg-gray-700 rounded p-3">
+                <div className="text-xs text-gray-300">Probability of success</div>
+                <div className={`text-2xl font-bold ${result.successProbability >= 0.9 ? "text-green-400" : result.successProbability >= 0.7 ? "text-yellow-400" : "text-red-400"}`}>
+                  {(result.successProbability * 100).toFixed(1)}%
+                </div>
+                <div className="text-xs text-gray-400">{result.runs.toLocaleString()} runs over {result.years} years</div>
+              </div>
+              <div className="bg-gray-700 rounded p-3">
+                <div className="text-xs text-gray-300">Depleted runs</div>
+                <div className="text-2xl font-bold">{summary.failed.toLocaleString()}</div>
+                <div className="text-xs text-gray-400">
+                  {summary.medianDepletion ? `median depletion year ${summary.medianDepletion}` : "none ran out of money"}
+                </div>
+              </div>
+              <div className="bg-gray-700 rounded p-3 col-span-2">
+                <div className="text-xs text-gray-300">Corpus in year {result.years} (Lakh)</div>
+                <div className="text-sm">
+                  10th: <span className="font-bold">{lakh(summary.last.p10)}</span>
+                  {" · "}median: <span className="font-bold">{lakh(summary.last.p50)}</span>
+                  {" · "}90th: <span className="font-bold">{lakh(summary.last.p90)}</span>
+                </div>
+              </div>
+            </div>
+            <div>
+              <div className="text-sm mb-1">Distribution of depletion years</div>
+              <Bar
+                data={depletionData}
+                options={{
+                  plugins: { legend: { labels: { color: "#fff" } } },
+                  scales: {
+                    y: { ticks: { color: "#fff", precision: 0 }, title: { display: true, text: "Runs", color: "#fff" } },
+                    x: { ticks: { color: "#fff" } }
+                  }
+                }}
+              />
+            </div>
+          </div>
+          <div>
+            <div className="text-sm mb-1">Total corpus percentiles (fan chart)</div>
+            <Line
+              data={fanData}
+              options={{
+                plugins: {
+                  legend: { labels: { color: "#fff", font: { size: 14 } } },
+                  tooltip: {
+                    enabled: true,
+                    mode: "index",
+                    intersect: false,
+                    callbacks: {
+                      label: function(context) {
+                        const label = context.dataset.label || '';
+                        const value = context.parsed.y;
+                        return `${label}: ₹${Number(Math.round(value)).toLocaleString()} (${lakh(value)} Lakh)`;
+                      }
+                    }
+                  }
+                },
+                interaction: { mode: "index", intersect: false },
+                scales: axisOptions
+              }}
+            />
+          </div>
+        </div>
+      ) : (
+        <div className="text-sm text-gray-400">
+          Uses the current inputs with Auto-mode withdrawals. Results are not affected by the year-by-year simulation above.
+        </div>
+      )}
+    </div>
+  );
+}
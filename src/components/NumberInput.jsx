@@ -0,0 +1,36 @@
+// src/components/NumberInput.jsx
+import React, { useState } from "react";
+
+/**
+ * Number field that keeps the typed text while focused, so it can be cleared and
+ * retyped (or "-" / "0." entered) without an in-between value taking effect.
+ * Only valid numbers reach `onCommit`, clamped by `clamp` and multiplied by `scale`
+ * (e.g. 100000 for a field shown in lakh); with `allowEmpty` an empty field commits
+ * null. `format` gives the text shown for a stored value. Other props go to the input.
+ */
+export default function NumberInput({ value, onCommit, scale = 1, clamp = v => v, format = String, allowEmpty = false, ...props }) {
+  const [draft, setDraft] = useState(null);
+  const shown = value === null ? "" : format(value / scale);
+  // drop the draft once the value has been changed from outside (preset, loaded scenario)
+  const draftNum = Number(draft);
+  const showDraft = draft !== null && (draft === "" || !Number.isFinite(draftNum) || clamp(draftNum) * scale === value);
+  return (
+    <input
+      type="number"
+      {...props}
+      value={showDraft ? draft : shown}
+      onFocus={() => setDraft(shown)}
+      onBlur={() => setDraft(null)}
+      onChange={e => {
+        const text = e.target.value;
+        setDraft(text);
+        const num = Number(text);
+        if (text === "") {
+          if (allowEmpty) onCommit(null);
+        } else if (Number.isFinite(num)) {
+          onCommit(clamp(num) * scale);
+        }
+      }}
+    />
+  );
+}
@@ -0,0 +1,120 @@
+// src/components/RefillRulesEditor.jsx
+import React from "react";
+import { REFILL_PRESETS, describeRule, matchPreset, newRule } from "../engine/refillRules.js";
+import NumberInput from "./NumberInput.jsx";
+
+/**
+ * Auto-mode refill rules: pick a preset, then edit/add/remove rules.
+ * Rules run top to bottom after each year's expense is paid.
+ */
+export default function RefillRulesEditor({ rules, buckets, onChange }) {
+  const preset = matchPreset(rules, buckets);
+
+  const update = (idx, patch) => onChange(rules.map((r, i) => i === idx ? { ...r, ...patch } : r));
+  const remove = (idx) => onChange(rules.filter((_, i) => i !== idx));
+  const move = (idx, delta) => {
+    const next = [...rules];
+    const [rule] = next.splice(idx, 1);
+    next.splice(idx + delta, 0, rule);
+    onChange(next);
+  };
+
+  const bucketSelect = (value, onSelect) => (
+    <select value={value} onChange={e => onSelect(Number(e.target.value))} className="p-1 bg-gray-700 rounded">
+      {buckets.map((b, i) => (
+        <option key={i} value={i}>{b.name}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="bg-gray-800 p-3 rounded space-y-2">
+      <div className="flex items-center gap-2">
+        <div className="text-sm font-semibold">Auto-mode refill rules</div>
+        <select
+          value={preset}
+          onChange={e => e.target.value !== "custom" && onChange(REFILL_PRESETS[e.target.value].rules(buckets))}
+          className="ml-auto p-1 bg-gray-700 rounded text-sm"
+        >
+          {Object.entries(REFILL_PRESETS).map(([key, p]) => {
+            const fits = p.rules(buckets) !== null;
+            return (
+              <option key={key} value={key} disabled={!fits}>{fits ? p.label : `${p.label} (needs ${p.needs})`}</option>
+            );
+          })}
+          <option value="custom">Custom</option>
+        </select>
+      </div>
+
+      {rules.length === 0 && (
+        <div className="text-xs text-gray-400">No rules: expenses are withdrawn from buckets in order (Liquid Funds first).</div>
+      )}
+
+      {rules.map((rule, idx) => (
+        <div key={idx} className="bg-gray-700/50 p-2 rounded text-sm space-y-1">
+          <div className="flex items-center gap-2 flex-wrap">
+            <span className="text-gray-400">{idx + 1}.</span>
+            {rule.type === "refill" ? (
+              <>
+                Keep {bucketSelect(rule.target, v => update(idx, { target: v }))} at
+                <NumberInput
+                  className="w-16 p-1 bg-gray-700 rounded"
+                  min="0"
+                  step="0.5"
+                  value={rule.years}
+                  onCommit={v => update(idx, { years: v })}
+                />
+                yrs of expenses from {bucketSelect(rule.source, v => update(idx, { source: v }))}
+                <label className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={rule.minSourceReturn !== null}
+                    onChange={e => update(idx, { minSourceReturn: e.target.checked ? 0 : null })}
+                  />
+                  only after a year above
+                </label>
+                {rule.minSourceReturn !== null && (
+                  <NumberInput
+                    className="w-16 p-1 bg-gray-700 rounded"
+                    value={rule.minSourceReturn}
+                    onCommit={v => update(idx, { minSourceReturn: v })}
+                  />
+                )}
+                {rule.minSourceReturn !== null && "%"}
+              </>
+            ) : (
+              <>
+                Skip sales after a negative year from
+                {buckets.map((b, i) => (
+                  <label key={i} className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={rule.buckets.includes(i)}
+                      onChange={e => update(idx, {
+                        buckets: e.target.checked
+                          ? [...rule.buckets, i].sort((a, c) => a - c)
+                          : rule.buckets.filter(x => x !== i)
+                      })}
+                    />
+                    {b.name}
+                  </label>
+                ))}
+              </>
+            )}
+            <span className="ml-auto flex gap-1">
+              <button type="button" className="px-2 bg-gray-600 rounded" disabled={idx === 0} onClick={() => move(idx, -1)} title="Move up">↑</button>
+              <button type="button" className="px-2 bg-gray-600 rounded" disabled={idx === rules.length - 1} onClick={() => move(idx, 1)} title="Move down">↓</button>
+              <button type="button" className="px-2 bg-red-700 rounded" onClick={() => remove(idx)} title="Remove rule">✕</button>
+            </span>
+          </div>
+          <div className="text-xs text-gray-400">{describeRule(rule, buckets)}</div>
+        </div>
+      ))}
+
+      <div className="flex gap-2">
+        <button type="button" className="px-2 py-1 bg-gray-700 rounded text-sm" onClick={() => onChange([...rules, newRule("refill")])}>+ Refill rule</button>
+        <button type="button" className="px-2 py-1 bg-gray-700 rounded text-sm" onClick={() => onChange([...rules, newRule("skipAfterLoss")])}>+ Skip-after-loss rule</button>
+      </div>
+    </div>
+  );
+}
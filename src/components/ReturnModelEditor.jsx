@@ -0,0 +1,132 @@
+// src/components/ReturnModelEditor.jsx
+import React from "react";
+import { RETURN_MODELS, bucketRegimes } from "../engine/returnModels.js";
+import NumberInput from "./NumberInput.jsx";
+
+/**
+ * Return distribution used for yearly returns (see src/engine/returnModels.js).
+ * For regime switching, each bucket gets its own bull/bear mean and volatility,
+ * stored on the bucket as `regimes`.
+ */
+export default function ReturnModelEditor({ model, buckets, onChange, onBucketsChange }) {
+  const update = (patch) => onChange({ ...model, ...patch });
+
+  const updateRegime = (idx, state, key, value) => {
+    onBucketsChange(buckets.map((b, i) => {
+      if (i !== idx) return b;
+      const regimes = bucketRegimes(b);
+      return { ...b, regimes: { ...regimes, [state]: { ...regimes[state], [key]: value } } };
+    }));
+  };
+  const customRegimes = buckets.some(b => b.regimes);
+
+  const regimeInput = (idx, state, key) => (
+    <NumberInput
+      className="w-16 p-1 bg-gray-700 rounded text-center"
+      step="0.5"
+      min={key === "volatility" ? "0" : undefined}
+      value={bucketRegimes(buckets[idx])[state][key]}
+      format={v => String(Math.round(v * 100) / 100)}
+      onCommit={v => updateRegime(idx, state, key, v)}
+    />
+  );
+
+  return (
+    <div className="bg-gray-800 p-3 rounded space-y-2">
+      <div className="flex items-center gap-2">
+        <div className="text-sm font-semibold">Return distribution</div>
+        <select value={model.type} onChange={e => update({ type: e.target.value })} className="ml-auto p-1 bg-gray-700 rounded text-sm">
+          {Object.entries(RETURN_MODELS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {model.type === "normal" && (
+        <div className="text-xs text-gray-400">Each year's returns are normally distributed around the average with the given volatility.</div>
+      )}
+      {model.type === "lognormal" && (
+        <div className="text-xs text-gray-400">Growth factors are lognormal with the same average and volatility, so a bucket can never lose more than 100% in a year.</div>
+      )}
+      {model.type === "studentT" && (
+        <div className="flex items-center gap-2 text-sm flex-wrap">
+          Degrees of freedom
+          <NumberInput
+            className="w-16 p-1 bg-gray-700 rounded"
+            min="2.5"
+            step="0.5"
+            value={model.df}
+            onCommit={v => update({ df: v })}
+          />
+          <span className="text-xs text-gray-400">Lower = fatter tails (more extreme years); must be above 2. Crashes hit all buckets together.</span>
+        </div>
+      )}
+      {model.type === "regime" && (
+        <div className="space-y-2 text-sm">
+          <div className="flex items-center gap-2 flex-wrap">
+            Chance per year: bull → bear
+            <NumberInput
+              className="w-16 p-1 bg-gray-700 rounded"
+              min="0"
+              max="1"
+              step="0.05"
+              value={model.pBullToBear}
+              onCommit={v => update({ pBullToBear: v })}
+            />
+            bear → bull
+            <NumberInput
+              className="w-16 p-1 bg-gray-700 rounded"
+              min="0"
+              max="1"
+              step="0.05"
+              value={model.pBearToBull}
+              onCommit={v => update({ pBearToBull: v })}
+            />
+          </div>
+          <div className="overflow-auto">
+            <table className="text-xs border-collapse">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th className="p-1 font-normal text-green-400" colSpan={2}>Bull: avg / vol (%)</th>
+                  <th className="p-1 font-normal text-red-400" colSpan={2}>Bear: avg / vol (%)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {buckets.map((b, i) => (
+                  <tr key={i}>
+                    <th className="p-1 font-normal text-gray-300 text-left whitespace-nowrap">{b.name}</th>
+                    <td className="p-1">{regimeInput(i, "bull", "avgReturn")}</td>
+                    <td className="p-1">{regimeInput(i, "bull", "volatility")}</td>
+                    <td className="p-1">{regimeInput(i, "bear", "avgReturn")}</td>
+                    <td className="p-1">{regimeInput(i, "bear", "volatility")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="text-xs text-gray-400">
+              {customRegimes
+                ? "Custom regime parameters."
+                : "Derived from each bucket's average and volatility until edited."}
+            </div>
+            {customRegimes && (
+              <button
+                type="button"
+                className="ml-auto px-2 py-1 bg-gray-700 rounded text-sm"
+                onClick={() => onBucketsChange(buckets.map(b => {
+                  const next = { ...b };
+                  delete next.regimes;
+                  return next;
+                }))}
+              >
+                Derive from averages
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+// src/components/ScenarioManager.jsx
+import React, { useState } from "react";
+import { parseScenarioFile, toScenarioFile } from "../engine/scenarioFile.js";
+import { downloadScenarioFile, loadSavedScenarios, storeSavedScenarios, unreadableSavedScenarios } from "./savedScenarios.js";
+
+/**
+ * Save the current inputs (and optionally the simulation in progress) under a
+ * name in browser storage; list, load, rename, delete, export and import them
+ * as versioned JSON files (see src/engine/scenarioFile.js).
+ */
+export default function ScenarioManager({ scenario, sim, onLoad }) {
+  const [saved, setSaved] = useState(() => loadSavedScenarios());
+  const [unreadable] = useState(() => unreadableSavedScenarios());
+  const [name, setName] = useState("");
+  const [includeSim, setIncludeSim] = useState(true);
+
+  // Store the new list, keeping the old one on screen if the browser refuses
+  function store(next) {
+    try {
+      storeSavedScenarios(next);
+    } catch (err) {
+      alert(err.message);
+      return false;
+    }
+    setSaved(next);
+    return true;
+  }
+
+  // Add a file to the list, replacing a same-named one after confirmation
+  function addFile(file) {
+    const existing = saved.findIndex(f => f.name === file.name);
+    if (existing >= 0 && !window.confirm(`Replace the saved scenario "${file.name}"?`)) return false;
+    return store([file, ...saved.filter((_, i) => i !== existing)]);
+  }
+
+  function save() {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      alert("Enter a name for the scenario");
+      return;
+    }
+    if (!addFile(toScenarioFile(trimmed, scenario, includeSim ? sim : null))) return;
+
+    // Track scenario save
+    if (window.gtag) {
+      window.gtag('event', 'scenario_saved', {
+        'with_simulation': Boolean(includeSim && sim)
+      });
+    }
+    setName("");
+  }
+
+  function rename(idx) {
+    const next = window.prompt("New name", saved[idx].name);
+    if (next === null) return;
+    const trimmed = next.trim();
+    if (!trimmed) return;
+    if (saved.some((f, i) => i !== idx && f.name === trimmed)) {
+      alert(`A scenario called "${trimmed}" already exists`);
+      return;
+    }
+    store(saved.map((f, i) => (i === idx ? { ...f, name: trimmed } : f)));
+  }
+
+  function remove(idx) {
+    if (!window.confirm(`Delete the saved scenario "${saved[idx].name}"?`)) return;
+    store(saved.filter((_, i) => i !== idx));
+  }
+
+  async function importFile(e) {
+    const input = e.target;
+    const upload = input.files && input.files[0];
+    input.value = ""; // allow importing the same file again
+    if (!upload) return;
+    let file;
+    try {
+      file = parseScenarioFile(await upload.text());
+    } catch (err) {
+      alert(`Could not import ${upload.name}:\n${err.message}`);
+      return;
+    }
+    addFile(file);
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-gray-800 p-3 rounded space-y-3">
+        <div className="font-semibold">Save current scenario</div>
+        <div className="flex items-center gap-2 flex-wrap text-sm">
+          <input
+            className="p-2 bg-gray-700 text-white rounded w-64"
+            placeholder="Scenario name"
+            value={name}
+            onChange={e => setName(e.target.value)}
+            onKeyDown={e => { if (e.key === "Enter") save(); }}
+          />
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={includeSim} disabled={!sim} onChange={e => setIncludeSim(e.target.checked)} />
+            Include simulation progress{sim ? ` (year ${sim.year}${sim.pendingYear ? ", transfer pending" : ""})` : " (not started)"}
+          </label>
+          <button className="px-4 py-2 bg-green-600 rounded" onClick={save}>Save</button>
+          <label className="ml-auto px-4 py-2 bg-gray-700 rounded cursor-pointer">
+            Import JSON…
+            <input type="file" accept="application/json,.json" className="hidden" onChange={importFile} />
+          </label>
+        </div>
+        <div className="text-xs text-gray-400">
+          Scenarios are kept in this browser only. Export them to move them to another device or keep a backup.
+        </div>
+      </div>
+
+      {unreadable.length > 0 && (
+        <div className="p-3 rounded bg-yellow-900/60 border border-yellow-600 text-sm">
+          <div>Some saved scenarios could not be loaded. They are left in browser storage untouched:</div>
+          <ul className="list-disc ml-5">
+            {unreadable.map((u, i) => (
+              <li key={i}>{u.label}: {u.error}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="bg-gray-800 p-3 rounded overflow-auto">
+        <div className="font-semibold mb-2">Saved scenarios</div>
+        {saved.length === 0 ? (
+          <div className="text-sm text-gray-400">Nothing saved yet.</div>
+        ) : (
+          <table className="table-auto w-full text-sm border-collapse">
+            <thead>
+              <tr>
+                <th className="p-1 border">Name</th>
+                <th className="p-1 border">Saved</th>
+                <th className="p-1 border">Corpus (Lakh)</th>
+                <th className="p-1 border">Buckets</th>
+                <th className="p-1 border">Progress</th>
+                <th className="p-1 border"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {saved.map((f, idx) => (
+                <tr key={f.name}>
+                  <td className="p-1 border">{f.name}</td>
+                  <td className="p-1 border">{f.savedAt ? new Date(f.savedAt).toLocaleString() : "—"}</td>
+                  <td className="p-1 border text-right">{(f.scenario.corpus / 100000).toFixed(2)}</td>
+                  <td className="p-1 border text-right">{f.scenario.buckets.length}</td>
+                  <td className="p-1 border">{f.simulation ? `Year ${f.simulation.year}${f.simulation.pendingYear ? " (transfer pending)" : ""}` : "Inputs only"}</td>
+                  <td className="p-1 border">
+                    <div className="flex gap-2 justify-end">
+                      <button className="px-2 py-1 bg-blue-600 rounded" onClick={() => onLoad(f)}>Load</button>
+                      <button className="px-2 py-1 bg-gray-700 rounded" onClick={() => rename(idx)}>Rename</button>
+                      <button className="px-2 py-1 bg-gray-700 rounded" onClick={() => downloadScenarioFile(f)}>Export</button>
+                      <button className="px-2 py-1 bg-red-700 rounded" onClick={() => remove(idx)}>Delete</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+// src/components/SpendingRuleEditor.jsx
+import React from "react";
+import { SPENDING_RULES } from "../engine/spending.js";
+import NumberInput from "./NumberInput.jsx";
+
+/**
+ * How much is withdrawn each year (see src/engine/spending.js).
+ * Only the parameters the selected rule uses are shown.
+ */
+
+const PARAMS = {
+  constant: [],
+  percent: [["rate", "Withdrawal rate (% of portfolio)"]],
+  guytonKlinger: [["guardrail", "Guardrail (% from starting rate)"], ["adjustment", "Cut / raise by (%)"]],
+  vpw: [["horizon", "Plan to spend over (years)"], ["realReturn", "Expected real return (%)"]],
+  floorCeiling: [["rate", "Withdrawal rate (% of portfolio)"], ["floor", "Floor (% of inflation-adjusted expense)"], ["ceiling", "Ceiling (% of inflation-adjusted expense)"]]
+};
+
+const HELP = {
+  constant: "First-year expense grown by inflation every year, whatever the markets do.",
+  percent: "Spend a fixed share of whatever the portfolio is worth at the start of each year.",
+  guytonKlinger: "Inflation-adjusted spending, frozen after losing years and cut or raised when the withdrawal rate drifts outside the guardrails around the starting rate.",
+  vpw: "Spend the amount that would use up the portfolio over the remaining years at the expected real return.",
+  floorCeiling: "A share of the portfolio, but never below the floor or above the ceiling of the inflation-adjusted expense."
+};
+
+export default function SpendingRuleEditor({ spending, onChange }) {
+  const update = (patch) => onChange({ ...spending, ...patch });
+
+  return (
+    <div className="bg-gray-800 p-3 rounded space-y-2">
+      <div className="flex items-center gap-2">
+        <div className="text-sm font-semibold">Spending rule</div>
+        <select value={spending.type} onChange={e => update({ type: e.target.value })} className="ml-auto p-1 bg-gray-700 rounded text-sm">
+          {Object.entries(SPENDING_RULES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="text-xs text-gray-400">{HELP[spending.type]}</div>
+      {PARAMS[spending.type].map(([key, label]) => (
+        <label key={key} className="flex items-center justify-between gap-2 text-sm">
+          {label}
+          <NumberInput
+            className="w-24 p-1 bg-gray-700 rounded"
+            step="0.5"
+            value={spending[key]}
+            onCommit={value => update({ [key]: value })}
+          />
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,241 @@
+// src/components/StressTestPanel.jsx
+import React, { useState, useMemo } from "react";
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend
+} from "chart.js";
+import { Line } from "react-chartjs-2";
+import { STRESS_PRESETS, presetStressTest, runStressTests } from "../engine/stressTests.js";
+import { bucketColor } from "./bucketColors.js";
+import { corpusChartOptions, lineDataset } from "./chartStyles.js";
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+/**
+ * Sequence-of-returns stress tests
+ *
+ * Runs the current inputs in Auto mode with the current seed, once unstressed and
+ * once per chosen shock (a preset, or custom per-bucket returns for a few years),
+ * and reports how each shock moves the depletion year and the final corpus.
+ */
+
+const MAX_YEARS = 100;
+const MAX_CUSTOM_YEARS = 5;
+
+const blankCustomYear = (n) => ({ returnsPct: Array(n).fill(""), inflation: "" });
+const optionalNumber = (value) => (String(value).trim() === "" ? null : Number(value));
+
+export default function StressTestPanel({ scenario }) {
+  const n = scenario.buckets.length;
+  const [chosen, setChosen] = useState(() => Object.fromEntries(Object.keys(STRESS_PRESETS).map(k => [k, { on: k === "crash2008", startYear: "1" }])));
+  const [custom, setCustom] = useState(() => ({ on: false, startYear: "1", years: [blankCustomYear(n)] }));
+  const [years, setYears] = useState("30");
+  const [results, setResults] = useState(null);
+
+  // Custom returns follow the bucket list: keep a year's entries only while they still fit it
+  const customYears = custom.years.map(y => (y.returnsPct.length === n ? y : blankCustomYear(n)));
+
+  const updateCustomYear = (idx, patch) =>
+    setCustom(prev => ({ ...prev, years: customYears.map((y, i) => (i === idx ? { ...y, ...patch } : y)) }));
+
+  function runTests() {
+    const horizon = Math.round(Number(years));
+    if (!(horizon >= 1 && horizon <= MAX_YEARS)) {
+      alert(`Years must be between 1 and ${MAX_YEARS}`);
+      return;
+    }
+
+    const tests = Object.entries(chosen)
+      .filter(([, c]) => c.on)
+      .map(([key, c]) => presetStressTest(key, Number(c.startYear)));
+    if (custom.on) {
+      tests.push({
+        label: "Custom shock",
+        startYear: Number(custom.startYear),
+        years: customYears.map(y => ({ returnsPct: y.returnsPct.map(optionalNumber), inflation: optionalNumber(y.inflation) }))
+      });
+    }
+
+    // Track stress test run
+    if (window.gtag) {
+      window.gtag('event', 'stress_test_run', {
+        'tests': tests.length,
+        'custom': custom.on,
+        'years': horizon
+      });
+    }
+
+    try {
+      setResults(runStressTests(scenario, tests, horizon));
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  const chartData = useMemo(() => {
+    if (!results) return null;
+    return {
+      labels: results.base.history.map(row => `Year ${row.year}`),
+      datasets: [
+        lineDataset(results.base.label, results.base.history.map(row => row.total), "#FFFFFF", true),
+        ...results.tests.map((t, i) => lineDataset(t.label, t.history.map(row => row.total), bucketColor(i).hex, true))
+      ]
+    };
+  }, [results]);
+
+  const lakh = (amount) => (amount / 100000).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+  // How a shock moved the depletion year relative to the unstressed run
+  function depletionChange(test) {
+    const base = results.base.depletedIn;
+    if (test.depletedIn === base) return "No change";
+    if (!base) return `Now runs out (year ${test.depletedIn})`;
+    if (!test.depletedIn) return "No longer runs out";
+    const diff = test.depletedIn - base;
+    return `${Math.abs(diff)} year${Math.abs(diff) === 1 ? "" : "s"} ${diff < 0 ? "earlier" : "later"}`;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-gray-800 p-3 rounded space-y-3">
+        <div className="font-semibold">Stress tests</div>
+        <div className="text-xs text-gray-400">
+          Forces bad returns into chosen years of an Auto-mode run with seed {scenario.seed}; every other year gets the same returns as the unstressed run.
+          Preset returns are set per asset class, matched from bucket names (equity, debt, gold, liquid).
+        </div>
+
+        <div className="space-y-2 text-sm">
+          {Object.entries(STRESS_PRESETS).map(([key, preset]) => (
+            <div key={key} className="flex items-center gap-3">
+              <label className="flex items-center gap-2 flex-1">
+                <input type="checkbox" checked={chosen[key].on} onChange={e => setChosen(prev => ({ ...prev, [key]: { ...prev[key], on: e.target.checked } }))} />
+                {preset.label}
+              </label>
+              <label className="flex items-center gap-2">
+                from year
+                <input
+                  className="w-16 p-1 bg-gray-700 rounded"
+                  type="number"
+                  min="1"
+                  value={chosen[key].startYear}
+                  onChange={e => setChosen(prev => ({ ...prev, [key]: { ...prev[key], startYear: e.target.value } }))}
+                />
+              </label>
+            </div>
+          ))}
+        </div>
+
+        <div className="bg-gray-700/50 p-2 rounded text-sm space-y-2">
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-2 flex-1">
+              <input type="checkbox" checked={custom.on} onChange={e => setCustom(prev => ({ ...prev, on: e.target.checked }))} />
+              Custom shock (blank = drawn as usual)
+            </label>
+            <label className="flex items-center gap-2">
+              from year
+              <input className="w-16 p-1 bg-gray-700 rounded" type="number" min="1" value={custom.startYear} onChange={e => setCustom(prev => ({ ...prev, startYear: e.target.value }))} />
+            </label>
+          </div>
+          {custom.on && (
+            <>
+              <table className="table-auto text-xs border-collapse">
+                <thead>
+                  <tr>
+                    <th className="p-1 border">Year</th>
+                    {scenario.buckets.map((b, i) => <th key={i} className="p-1 border">{b.name} %</th>)}
+                    <th className="p-1 border">Inflation %</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {customYears.map((y, idx) => (
+                    <tr key={idx}>
+                      <td className="p-1 border">{Number(custom.startYear) + idx}</td>
+                      {y.returnsPct.map((r, i) => (
+                        <td key={i} className="p-1 border">
+                          <input
+                            className="w-16 p-1 bg-gray-700 rounded"
+                            type="number"
+                            value={r}
+                            onChange={e => updateCustomYear(idx, { returnsPct: y.returnsPct.map((v, j) => (j === i ? e.target.value : v)) })}
+                          />
+                        </td>
+                      ))}
+                      <td className="p-1 border">
+                        <input className="w-16 p-1 bg-gray-700 rounded" type="number" value={y.inflation} onChange={e => updateCustomYear(idx, { inflation: e.target.value })} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="flex gap-2">
+                {customYears.length < MAX_CUSTOM_YEARS && (
+                  <button className="px-2 py-1 bg-gray-700 rounded" onClick={() => setCustom(prev => ({ ...prev, years: [...customYears, blankCustomYear(n)] }))}>+ Add year</button>
+                )}
+                {customYears.length > 1 && (
+                  <button className="px-2 py-1 bg-gray-700 rounded" onClick={() => setCustom(prev => ({ ...prev, years: customYears.slice(0, -1) }))}>− Remove last year</button>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="flex items-center gap-3 text-sm">
+          <label className="flex items-center gap-2">
+            Years
+            <input className="w-20 p-2 bg-gray-700 text-white rounded" type="number" min="1" max={MAX_YEARS} value={years} onChange={e => setYears(e.target.value)} />
+          </label>
+          <button className="px-4 py-2 bg-green-600 rounded" onClick={runTests}>Run stress tests</button>
+        </div>
+      </div>
+
+      {results && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="bg-gray-800 p-3 rounded overflow-auto">
+            <div className="font-semibold mb-2">Impact</div>
+            <table className="table-auto w-full text-sm border-collapse">
+              <thead>
+                <tr>
+                  <th className="p-1 border">Run</th>
+                  <th className="p-1 border">Runs out</th>
+                  <th className="p-1 border">Change</th>
+                  <th className="p-1 border">Final corpus (Lakh)</th>
+                  <th className="p-1 border">Change (Lakh)</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr className="font-semibold">
+                  <td className="p-1 border">{results.base.label}</td>
+                  <td className="p-1 border text-right">{results.base.depletedIn ? `Year ${results.base.depletedIn}` : "Never"}</td>
+                  <td className="p-1 border text-right">—</td>
+                  <td className="p-1 border text-right">{lakh(results.base.finalCorpus)}</td>
+                  <td className="p-1 border text-right">—</td>
+                </tr>
+                {results.tests.map((t, i) => {
+                  const corpusDiff = t.finalCorpus - results.base.finalCorpus;
+                  return (
+                    <tr key={i}>
+                      <td className="p-1 border" style={{ color: bucketColor(i).hex }}>{t.label}</td>
+                      <td className="p-1 border text-right">{t.depletedIn ? `Year ${t.depletedIn}` : "Never"}</td>
+                      <td className="p-1 border text-right">{depletionChange(t)}</td>
+                      <td className="p-1 border text-right">{lakh(t.finalCorpus)}</td>
+                      <td className={`p-1 border text-right ${corpusDiff < 0 ? "text-red-400" : ""}`}>{corpusDiff > 0 ? "+" : ""}{lakh(corpusDiff)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div className="bg-gray-800 p-3 rounded">
+            <div className="font-semibold mb-2">Total corpus, stressed vs unstressed</div>
+            <Line data={chartData} options={corpusChartOptions()} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+// src/components/TaskProgress.jsx
+import React from "react";
+
+/**
+ * Progress of a background task (see backgroundTask.js) with a Cancel button, left out
+ * when `onCancel` is null. `fraction` (0-1) fills the bar; null when the total isn't
+ * known in advance.
+ */
+export default function TaskProgress({ fraction, label, onCancel }) {
+  return (
+    <div className="flex items-center gap-2 text-xs">
+      <div className="flex-1 h-2 bg-gray-700 rounded overflow-hidden">
+        <div
+          className={`h-full bg-green-500 ${fraction === null ? "animate-pulse" : ""}`}
+          style={{ width: `${fraction === null ? 100 : Math.round(fraction * 100)}%` }}
+        />
+      </div>
+      <span className="whitespace-nowrap">{label}</span>
+      {onCancel && <button className="px-2 py-1 bg-red-700 rounded" onClick={onCancel}>Cancel</button>}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+// src/components/TaxSettingsEditor.jsx
+import React from "react";
+import { TAX_CLASSES, bucketTaxClass } from "../engine/tax.js";
+import NumberInput from "./NumberInput.jsx";
+
+/**
+ * Indian capital-gains tax on withdrawals and transfers (see src/engine/tax.js).
+ * Each bucket picks a tax treatment, stored on the bucket as `taxClass`.
+ */
+export default function TaxSettingsEditor({ tax, buckets, onChange, onBucketsChange }) {
+  const update = (patch) => onChange({ ...tax, ...patch });
+
+  const rateInput = (key, label, { step = "0.5", scale = 1 } = {}) => (
+    <label className="flex items-center justify-between gap-2">
+      {label}
+      <NumberInput
+        className="w-24 p-1 bg-gray-700 rounded"
+        min="0"
+        step={step}
+        value={tax[key]}
+        scale={scale}
+        onCommit={v => update({ [key]: v })}
+      />
+    </label>
+  );
+
+  return (
+    <div className="bg-gray-800 p-3 rounded space-y-2">
+      <label className="flex items-center gap-2 text-sm font-semibold">
+        <input type="checkbox" checked={tax.enabled} onChange={e => update({ enabled: e.target.checked })} />
+        Tax on withdrawals and transfers
+      </label>
+
+      {!tax.enabled && (
+        <div className="text-xs text-gray-400">Off: sales from buckets are tax-free.</div>
+      )}
+
+      {tax.enabled && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4 gap-y-1 text-sm">
+            {rateInput("slabRate", "Income tax slab rate (%)")}
+            {rateInput("ltcgRate", "LTCG rate (%)")}
+            {rateInput("stcgRate", "Equity STCG rate (%)")}
+            {rateInput("exemption", "Equity LTCG exemption (Lakh/yr)", { step: "0.25", scale: 100000 })}
+            {rateInput("goldLongTermYears", "Gold long-term after (years)", { step: "1" })}
+            {rateInput("cess", "Cess (%)")}
+          </div>
+          <div className="space-y-1 text-sm">
+            {buckets.map((b, i) => (
+              <div key={i} className="flex items-center gap-2">
+                <div className="flex-1 truncate" title={b.name}>{b.name}</div>
+                <select
+                  value={bucketTaxClass(b)}
+                  onChange={e => {
+                    const value = e.target.value;
+                    onBucketsChange(buckets.map((p, j) => (j === i ? { ...p, taxClass: value } : p)));
+                  }}
+                  className="p-1 bg-gray-700 rounded"
+                >
+                  {Object.entries(TAX_CLASSES).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <div className="text-xs text-gray-400">
+            Gains are worked out from each bucket's cost basis (oldest money sold first). Withdrawals are grossed up so the
+            full expense is left after tax; transfers arrive net of tax.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
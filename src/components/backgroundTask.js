@@ -0,0 +1,68 @@
+// src/components/backgroundTask.js
+// Start a batch task (src/engine/batchTasks.js) in its own Web Worker, so long runs
+// keep the page responsive and several can run side by side. Where workers aren't
+// available the task runs on the main thread instead, where it can't be interrupted.
+
+import { runBatchTask } from "../engine/batchTasks.js";
+
+function cancelledError() {
+  const err = new Error("Cancelled");
+  err.name = "AbortError";
+  return err;
+}
+
+/**
+ * Returns { promise, cancel, cancellable }. `promise` resolves with the task's result,
+ * or rejects with its error or, after `cancel()`, an Error named "AbortError".
+ * `onProgress(progress)` receives the task's progress reports as they arrive.
+ * `cancellable` is false on the main-thread fallback: the page is busy until the task
+ * ends, so there is no moment to cancel it, and `cancel()` only discards the result.
+ */
+export function startBackgroundTask(task, args, { onProgress = () => {} } = {}) {
+  let settle = null; // { resolve, reject } until the task finishes or is cancelled
+  const promise = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+  const finish = (outcome, value) => {
+    if (!settle) return;
+    const { resolve, reject } = settle;
+    settle = null;
+    if (outcome === "result") resolve(value);
+    else reject(value);
+  };
+
+  if (typeof Worker === "undefined") {
+    setTimeout(() => {
+      try {
+        const result = runBatchTask(task, args, progress => settle && onProgress(progress));
+        finish("result", result);
+      } catch (err) {
+        finish("error", err);
+      }
+    }, 0);
+    return { promise, cancel: () => finish("error", cancelledError()), cancellable: false };
+  }
+
+  const worker = new Worker(new URL("../engine/simulationWorker.js", import.meta.url), { type: "module" });
+  worker.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === "progress") {
+      onProgress(message.progress);
+      return;
+    }
+    worker.terminate();
+    finish(message.type, message.type === "result" ? message.result : new Error(message.message));
+  };
+  worker.onerror = (event) => {
+    worker.terminate();
+    finish("error", new Error(event.message || "The background simulation failed"));
+  };
+  worker.postMessage({ task, args });
+
+  return {
+    promise,
+    cancel: () => {
+      worker.terminate();
+      finish("error", cancelledError());
+    },
+    cancellable: true
+  };
+}
@@ -0,0 +1,20 @@
+// src/components/bucketColors.js
+// Card and chart colours per bucket index (cycled when there are more buckets than colours).
+// Mild, distinct backgrounds with a readable text colour; `hex` matches the card for charts.
+
+const PALETTE = [
+  { bg: "bg-blue-600", text: "text-white", hex: "#2563EB" },
+  { bg: "bg-green-600", text: "text-white", hex: "#16A34A" },
+  { bg: "bg-yellow-500", text: "text-gray-900", hex: "#EAB308" },
+  { bg: "bg-purple-600", text: "text-white", hex: "#9333EA" },
+  { bg: "bg-pink-500", text: "text-gray-900", hex: "#EC4899" },
+  { bg: "bg-teal-500", text: "text-gray-900", hex: "#14B8A6" },
+  { bg: "bg-orange-500", text: "text-gray-900", hex: "#F97316" },
+  { bg: "bg-indigo-400", text: "text-gray-900", hex: "#818CF8" },
+  { bg: "bg-lime-400", text: "text-gray-900", hex: "#A3E635" },
+  { bg: "bg-red-500", text: "text-white", hex: "#EF4444" }
+];
+
+export function bucketColor(index) {
+  return PALETTE[index % PALETTE.length];
+}
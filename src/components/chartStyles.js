@@ -0,0 +1,70 @@
+// src/components/chartStyles.js
+// Shared Chart.js styling for the corpus line charts (simulation and comparison).
+
+// One line; `emphasis` draws it thicker, as for the total corpus
+export function lineDataset(label, data, hex, emphasis = false) {
+  return {
+    label,
+    data,
+    fill: false,
+    borderColor: hex,
+    borderWidth: emphasis ? 4 : 2,
+    pointRadius: emphasis ? 4 : 2,
+    pointBackgroundColor: hex,
+    tension: 0.2,
+    yAxisID: "y",
+  };
+}
+
+// Points only, marking events on a line; `notes` (one per point) replace the tooltip text
+export function markerDataset(label, data, hex, notes) {
+  return {
+    ...lineDataset(label, data, hex),
+    showLine: false,
+    pointStyle: "triangle",
+    pointRadius: 8,
+    pointHoverRadius: 10,
+    notes
+  };
+}
+
+// Legend, ticks and axis title in `color` (white on the dark panels); tooltips show rupees and lakh
+export function corpusChartOptions(yTitle = "Amount (₹)", color = "#fff") {
+  return {
+    plugins: {
+      legend: {
+        labels: {
+          color,
+          font: { size: 14 }
+        }
+      },
+      tooltip: {
+        enabled: true,
+        mode: "nearest",
+        intersect: false,
+        callbacks: {
+          // Show label and value in lakh with formatting
+          label: function(context) {
+            if (context.dataset.notes) return context.dataset.notes[context.dataIndex];
+            const label = context.dataset.label || '';
+            const value = context.parsed.y;
+            return `${label}: ₹${Number(value).toLocaleString()} (${Math.round(value / 100000).toLocaleString()} Lakh)`;
+          }
+        }
+      }
+    },
+    interaction: {
+      mode: "nearest",
+      intersect: false
+    },
+    scales: {
+      y: {
+        ticks: { color },
+        title: { display: true, text: yTitle, color }
+      },
+      x: {
+        ticks: { color }
+      }
+    }
+  };
+}
@@ -0,0 +1,19 @@
+// src/components/download.js
+// Browser downloads for exported files.
+
+// File-name-safe version of a user-given name
+export function safeFileName(name, fallback = "export") {
+  return name.replace(/[^\w\- ]+/g, "_").trim() || fallback;
+}
+
+// Offer `blob` for download as `fileName`
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
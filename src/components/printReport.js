@@ -0,0 +1,117 @@
+// src/components/printReport.js
+// Printable report of a run (inputs, chart and year-by-year table) in a new
+// window, laid out for paper so the browser's "Save as PDF" gives a clean file.
+
+import {
+  Chart as ChartJS,
+  LineController,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Legend
+} from "chart.js";
+import { corpusChartOptions } from "./chartStyles.js";
+
+ChartJS.register(LineController, CategoryScale, LinearScale, PointElement, LineElement, Legend);
+
+const INK = "#111827";
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+/**
+ * PNG data URL of a line chart redrawn for paper: dark text, and lines drawn
+ * white for the dark screen drawn in black. Null when the browser can't draw it.
+ */
+export function chartImage(data, yTitle) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 1400;
+  canvas.height = 600;
+  const options = corpusChartOptions(yTitle, INK);
+  let chart;
+  try {
+    chart = new ChartJS(canvas, {
+      type: "line",
+      data: {
+        ...data,
+        datasets: data.datasets.map(d => (d.borderColor === "#FFFFFF" ? { ...d, borderColor: INK, pointBackgroundColor: INK } : d))
+      },
+      options: { ...options, animation: false, responsive: false, devicePixelRatio: 1 }
+    });
+    return chart.toBase64Image("image/png");
+  } catch {
+    return null;
+  } finally {
+    if (chart) chart.destroy();
+  }
+}
+
+// Numbers formatted by column: percentages to 2 places, rupees as whole Indian-grouped amounts
+function formatCell(value, column) {
+  if (typeof value !== "number") return escapeHtml(value);
+  if (column === "Year") return String(value);
+  if (column === "Price index") return value.toFixed(3);
+  if (column.includes("%")) return value.toFixed(2);
+  return Math.round(value).toLocaleString("en-IN");
+}
+
+/**
+ * Open the report. `summary` is [label, value] pairs (scenarioSummary),
+ * `table` the { header, rows } history table and `chart` an image URL or null.
+ * Throws when the browser blocks the new window.
+ */
+export function openPrintReport({ title, summary, headline, table, chart }) {
+  const summaryRows = summary.map(([label, value]) =>
+    `<tr><th>${escapeHtml(label)}</th><td class="text">${typeof value === "number" ? value.toLocaleString("en-IN") : escapeHtml(value)}</td></tr>`).join("");
+  const head = table.header.map(h => `<th>${escapeHtml(h)}</th>`).join("");
+  const body = table.rows.map(cells =>
+    `<tr>${cells.map((v, i) => `<td${typeof v === "number" ? "" : ' class="text"'}>${formatCell(v, table.header[i])}</td>`).join("")}</tr>`).join("");
+
+  const html = `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: A4 landscape; margin: 12mm; }
+  body { font-family: system-ui, sans-serif; color: ${INK}; font-size: 10px; margin: 16px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 13px; margin: 16px 0 6px; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #9ca3af; padding: 2px 4px; text-align: right; }
+  th { background: #f3f4f6; }
+  .text { text-align: left; }
+  .inputs th { text-align: left; }
+  .history { width: 100%; }
+  .history thead { display: table-header-group; }
+  .history tr { break-inside: avoid; }
+  img { width: 100%; max-width: 1000px; }
+  .chart { break-inside: avoid; }
+  .toolbar { margin-bottom: 12px; }
+  @media print { .toolbar { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+<h1>${escapeHtml(title)}</h1>
+<div>${escapeHtml(headline)}</div>
+<h2>Inputs</h2>
+<table class="inputs">${summaryRows}</table>
+${chart ? `<div class="chart"><h2>Balances over years</h2><img src="${chart}" alt="Balances chart"></div>` : ""}
+<h2>Year by year (nominal ₹)</h2>
+<table class="history"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>
+<script>window.addEventListener("load", () => window.print());</script>
+</body>
+</html>`;
+
+  const win = window.open("", "_blank");
+  if (!win) throw new Error("The report window was blocked. Allow pop-ups for this site and try again.");
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+}
@@ -0,0 +1,72 @@
+// src/components/savedScenarios.js
+// Named scenarios kept in the browser's localStorage, as a list of scenario files
+// (see src/engine/scenarioFile.js) under one key.
+
+import { parseScenarioFile } from "../engine/scenarioFile.js";
+import { downloadBlob, safeFileName } from "./download.js";
+
+const STORAGE_KEY = "retirementBucketSimulator.savedScenarios";
+// Where a stored list that isn't JSON at all is moved before it is overwritten
+const BACKUP_KEY = `${STORAGE_KEY}.unreadable`;
+
+// The stored entries; null when something is stored but it isn't a JSON list
+function readStored() {
+  let raw;
+  try {
+    raw = window.localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return []; // storage disabled
+  }
+  if (raw === null) return [];
+  try {
+    const stored = JSON.parse(raw);
+    return Array.isArray(stored) ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+function parseEntry(entry) {
+  try {
+    return { file: parseScenarioFile(entry), error: null };
+  } catch (err) {
+    return { file: null, error: err.message };
+  }
+}
+
+// Saved scenarios, newest first; entries that no longer parse are left out
+// (see unreadableSavedScenarios) but kept in storage
+export function loadSavedScenarios() {
+  return (readStored() || []).map(parseEntry).filter(e => e.file).map(e => e.file);
+}
+
+// The stored entries loadSavedScenarios leaves out, as [{ label, error }]
+export function unreadableSavedScenarios() {
+  const stored = readStored();
+  if (stored === null) return [{ label: "The saved list", error: `not a JSON list; it is moved to "${BACKUP_KEY}" on the next save` }];
+  return stored.flatMap((entry, i) => {
+    const { error } = parseEntry(entry);
+    if (error === null) return [];
+    const label = entry && typeof entry.name === "string" ? `"${entry.name}"` : `Entry ${i + 1}`;
+    return [{ label, error }];
+  });
+}
+
+// Store the list; throws when the browser refuses (storage full or disabled).
+// Stored entries that don't parse are written back after it unchanged, and a stored
+// value that isn't a list at all is first copied to BACKUP_KEY.
+export function storeSavedScenarios(files) {
+  const stored = readStored();
+  const kept = stored ? stored.filter(entry => parseEntry(entry).error !== null) : [];
+  try {
+    if (stored === null) window.localStorage.setItem(BACKUP_KEY, window.localStorage.getItem(STORAGE_KEY));
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify([...files, ...kept]));
+  } catch (err) {
+    throw new Error(`Could not save to browser storage: ${err.message}`);
+  }
+}
+
+// Offer a scenario file for download as <name>.json
+export function downloadScenarioFile(file) {
+  downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: "application/json" }), `${safeFileName(file.name, "scenario")}.json`);
+}
@@ -0,0 +1,28 @@
+// src/components/useBackgroundTask.js
+import { useEffect, useState } from "react";
+import { startBackgroundTask } from "./backgroundTask.js";
+
+/**
+ * A panel's background task (see backgroundTask.js), one at a time; cancelled if the
+ * panel goes away mid-run. `job` is null when idle, else the running task and the
+ * `extra` it was started with.
+ * `start(task, args, { onProgress, onResult, onError, extra })` runs a task;
+ * `onError` (an alert by default) is not called when the task was cancelled.
+ */
+export function useBackgroundTask() {
+  const [job, setJob] = useState(null);
+
+  useEffect(() => () => job?.cancel(), [job]);
+
+  function start(task, args, { onProgress, onResult, onError = err => alert(err.message), extra = {} }) {
+    const next = { ...startBackgroundTask(task, args, { onProgress }), ...extra };
+    setJob(next);
+    next.promise
+      .then(onResult, err => {
+        if (err.name !== "AbortError") onError(err);
+      })
+      .finally(() => setJob(null));
+  }
+
+  return { job, start };
+}
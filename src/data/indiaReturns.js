@@ -0,0 +1,42 @@
+// src/data/indiaReturns.js
+// Bundled calendar-year returns (%) for Indian asset classes, used by the historical backtest.
+//
+// Figures are approximate annual total returns compiled from public index and
+// category data (liquid: 91-day T-bill / liquid fund category, debt: composite
+// bond fund category, gold: domestic gold price in INR, equity: NSE Nifty 50,
+// Nifty Midcap 100 and Nifty Smallcap 100 incl. dividends). They are meant for
+// illustration — rounding differences of a point or so against official series
+// are expected. Append a row each year to extend the dataset.
+
+export const HISTORICAL_SERIES = [
+  { key: "liquid", label: "Liquid (T-bill / liquid funds)" },
+  { key: "debt", label: "Debt (composite bond funds)" },
+  { key: "gold", label: "Gold (INR)" },
+  { key: "nifty50", label: "Nifty 50" },
+  { key: "midcap", label: "Nifty Midcap 100" },
+  { key: "smallcap", label: "Nifty Smallcap 100" }
+];
+
+export const HISTORICAL_RETURNS = [
+  // year, liquid, debt, gold, nifty50, midcap, smallcap
+  [2005,  5.3,  4.6,  20.0,  37.5,  34.0,  40.0],
+  [2006,  6.5,  5.2,  22.0,  41.0,  29.0,  30.0],
+  [2007,  7.5,  7.5,  17.0,  56.0,  76.9,  91.0],
+  [2008,  8.5, 10.0,  30.0, -51.3, -59.1, -68.5],
+  [2009,  4.5,  4.5,  23.9,  77.6,  98.9, 103.0],
+  [2010,  5.5,  5.5,  22.6,  19.2,  19.2,  14.6],
+  [2011,  8.3,  6.9,  31.0, -23.8, -31.0, -34.5],
+  [2012,  9.0,  9.4,  12.0,  29.4,  39.2,  36.9],
+  [2013,  9.0,  4.3,  -4.5,   8.1,  -5.1,  -9.1],
+  [2014,  9.0, 14.3,  -7.9,  32.9,  55.9,  55.0],
+  [2015,  8.2,  8.6,  -6.7,  -3.0,   6.5,   6.8],
+  [2016,  7.3, 12.9,  11.3,   4.4,   6.5,   0.9],
+  [2017,  6.6,  4.7,   5.1,  30.3,  47.3,  57.3],
+  [2018,  7.2,  5.9,   7.9,   4.6, -15.4, -29.1],
+  [2019,  6.9, 10.7,  23.8,  13.5,  -4.3,  -9.5],
+  [2020,  4.5, 12.2,  28.0,  16.1,  21.9,  21.0],
+  [2021,  3.3,  3.4,  -4.2,  25.6,  46.1,  59.2],
+  [2022,  4.8,  2.5,  14.0,   5.7,   3.5, -14.6],
+  [2023,  7.0,  7.3,  15.4,  21.3,  46.6,  55.6],
+  [2024,  7.3,  8.9,  21.0,  10.1,  23.9,  24.0]
+];
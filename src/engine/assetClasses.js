@@ -0,0 +1,21 @@
+// src/engine/assetClasses.js
+// Guess what a bucket holds from its name, so features keyed by asset class
+// (historical data series, correlation presets) work with renamed or added buckets.
+
+// Best-guess historical data series key for a bucket (see src/data/indiaReturns.js)
+export function guessSeries(bucketName) {
+  const n = bucketName.toLowerCase();
+  if (n.includes("liquid")) return "liquid";
+  if (n.includes("gold") || n.includes("commod") || n.includes("silver")) return "gold";
+  if (n.includes("small")) return "smallcap";
+  if (n.includes("mid")) return "midcap";
+  if (n.includes("equity") || n.includes("large") || n.includes("nifty")) return "nifty50";
+  return "debt";
+}
+
+const CLASS_OF_SERIES = { liquid: "liquid", debt: "debt", gold: "gold", nifty50: "equity", midcap: "equity", smallcap: "equity" };
+
+// Broad asset class: "liquid" | "debt" | "gold" | "equity"
+export function guessAssetClass(bucketName) {
+  return CLASS_OF_SERIES[guessSeries(bucketName)];
+}
@@ -0,0 +1,73 @@
+// src/engine/autoPlay.js
+// Playing the interactive simulation forward several years at a time (auto-play
+// and "run to year N"), stopping early on the user's stop conditions.
+//
+// A condition stops play only in the year it starts to hold, so pressing play
+// again carries on past it instead of stopping straight away. A Manual-mode
+// year waiting for a transfer always stops play, since it can't go on without one.
+
+import { expenseForState, stepYear } from "./simulation.js";
+
+// liquidYears: stop when Bucket 1 covers fewer than this many years of expenses (null = off);
+// totalBelow: stop when the total corpus falls below this many rupees (null = off)
+export const DEFAULT_STOP_CONDITIONS = {
+  depleted: true,
+  liquidYears: null,
+  totalBelow: null
+};
+
+export function validateStopConditions(conditions) {
+  const errors = [];
+  if (conditions.liquidYears !== null && !(Number.isFinite(conditions.liquidYears) && conditions.liquidYears > 0)) {
+    errors.push("Years of expenses in Bucket 1 must be a positive number");
+  }
+  if (conditions.totalBelow !== null && !(Number.isFinite(conditions.totalBelow) && conditions.totalBelow > 0)) {
+    errors.push("Corpus threshold must be a positive amount");
+  }
+  return errors;
+}
+
+const total = state => state.balances.reduce((s, v) => s + v, 0);
+
+// Years of the coming year's expense that Bucket 1 holds
+function liquidCover(scenario, state) {
+  const expense = expenseForState(scenario, state);
+  return expense > 0 ? state.balances[0] / expense : Infinity;
+}
+
+/**
+ * Why play should stop after stepping from `before` to `after`, or null to keep going.
+ * `bucketName` names Bucket 1 in the message.
+ */
+export function stopReason(scenario, before, after, conditions, bucketName = "Bucket 1") {
+  if (after.pendingYear) return `Year ${after.pendingYear.year} needs a manual transfer`;
+  if (conditions.depleted && after.depletedIn && !before.depletedIn) return `Corpus depleted in year ${after.depletedIn}`;
+  if (conditions.liquidYears !== null) {
+    const below = state => liquidCover(scenario, state) < conditions.liquidYears;
+    if (below(after) && !below(before)) return `${bucketName} below ${conditions.liquidYears} year(s) of expenses after year ${after.year}`;
+  }
+  if (conditions.totalBelow !== null) {
+    const below = state => total(state) < conditions.totalBelow;
+    if (below(after) && !below(before)) return `Total corpus below ₹${Math.round(conditions.totalBelow).toLocaleString("en-IN")} after year ${after.year}`;
+  }
+  return null;
+}
+
+/**
+ * Step `state` forward until year `toYear` or a stop condition, at most `maxSteps` years.
+ * Returns { states, reason }: every state passed through (last = where play ended)
+ * and the stop reason, or null when it simply ran out of years or steps.
+ * Throws when a year can't be stepped.
+ */
+export function playForward(scenario, state, { toYear, conditions, maxSteps = Infinity, bucketName }) {
+  const states = [];
+  let current = state;
+  while (current.year < toYear && states.length < maxSteps) {
+    const next = stepYear(scenario, current);
+    states.push(next);
+    const reason = stopReason(scenario, current, next, conditions, bucketName);
+    if (reason) return { states, reason };
+    current = next;
+  }
+  return { states, reason: null };
+}
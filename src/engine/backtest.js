@@ -0,0 +1,97 @@
+// src/engine/backtest.js
+// Historical backtest: replay actual annual returns (src/data/indiaReturns.js)
+// through the Auto-mode simulation for every possible retirement start year.
+
+import { HISTORICAL_RETURNS, HISTORICAL_SERIES } from "../data/indiaReturns.js";
+import { guessSeries } from "./assetClasses.js";
+import { startSimulation, stepYear } from "./simulation.js";
+
+export const FIRST_HISTORICAL_YEAR = HISTORICAL_RETURNS[0][0];
+export const LAST_HISTORICAL_YEAR = HISTORICAL_RETURNS[HISTORICAL_RETURNS.length - 1][0];
+
+export function defaultMapping(buckets) {
+  return buckets.map(b => guessSeries(b.name));
+}
+
+// Returns (%) per bucket for a calendar year, using `mapping[i]` = series key for bucket i
+export function historicalReturns(calendarYear, mapping) {
+  const row = HISTORICAL_RETURNS.find(r => r[0] === calendarYear);
+  if (!row) throw new Error(`No historical data for ${calendarYear}`);
+  return mapping.map(key => {
+    const col = HISTORICAL_SERIES.findIndex(s => s.key === key);
+    if (col < 0) throw new Error(`Unknown data series "${key}"`);
+    return row[col + 1];
+  });
+}
+
+// Calendar year for simulation year `n` (1-based) of a window starting in `startYear`.
+// With `wrap`, windows running past the last data year continue from the first.
+function calendarYearFor(startYear, n, wrap) {
+  const span = LAST_HISTORICAL_YEAR - FIRST_HISTORICAL_YEAR + 1;
+  const offset = startYear - FIRST_HISTORICAL_YEAR + n - 1;
+  return FIRST_HISTORICAL_YEAR + (wrap ? offset % span : offset);
+}
+
+// Plain-language reason a window failed: where it ran out and the worst early years
+function failureReason(result, scenario) {
+  const early = result.history.slice(0, 5);
+  const worst = early
+    .map((row, i) => {
+      const start = row.endValues.reduce((s, v, j) => s + v - row.returnsAmt[j], 0);
+      const gain = row.returnsAmt.reduce((s, v) => s + v, 0);
+      return { calendarYear: result.calendarYears[i], pct: start > 0 ? (gain / start) * 100 : 0 };
+    })
+    .sort((a, b) => a.pct - b.pct)[0];
+  const parts = [`Ran out of money in ${result.calendarYears[result.depletedIn - 1]} (year ${result.depletedIn})`];
+  if (worst && worst.pct < 0) {
+    parts.push(`portfolio lost ${Math.abs(worst.pct).toFixed(1)}% in ${worst.calendarYear}, early in retirement`);
+  }
+  const mode = scenario.refillRules.length ? "refill rules" : "the waterfall";
+  parts.push(`withdrawals via ${mode} could not recover`);
+  return parts.join("; ");
+}
+
+/**
+ * Run one historical window. Returns the simulation state plus
+ * { startYear, calendarYears[], finalTotal, minTotal }.
+ */
+export function runHistoricalWindow(scenario, startYear, years, mapping, { wrap = false } = {}) {
+  const auto = { ...scenario, mode: "auto" };
+  let state = startSimulation(auto);
+  const calendarYears = [];
+  for (let n = 1; n <= years; n++) {
+    const calendarYear = calendarYearFor(startYear, n, wrap);
+    calendarYears.push(calendarYear);
+    state = stepYear(auto, state, { returnsPct: historicalReturns(calendarYear, mapping) });
+  }
+  const totals = state.history.map(r => r.total);
+  return {
+    ...state,
+    startYear,
+    calendarYears,
+    finalTotal: totals[totals.length - 1],
+    minTotal: Math.min(...totals)
+  };
+}
+
+/**
+ * Rolling backtest over every start year with `years` of data after it
+ * (every start year when `wrap` is set). Each result carries `reason` when it failed.
+ */
+export function runRollingBacktest(scenario, { years, mapping, wrap = false }) {
+  const span = LAST_HISTORICAL_YEAR - FIRST_HISTORICAL_YEAR + 1;
+  if (!wrap && years > span) {
+    throw new Error(`Only ${span} years of data (${FIRST_HISTORICAL_YEAR}–${LAST_HISTORICAL_YEAR}); shorten the horizon or allow wrap-around`);
+  }
+  const lastStart = wrap ? LAST_HISTORICAL_YEAR : LAST_HISTORICAL_YEAR - years + 1;
+  const windows = [];
+  for (let startYear = FIRST_HISTORICAL_YEAR; startYear <= lastStart; startYear++) {
+    const result = runHistoricalWindow(scenario, startYear, years, mapping, { wrap });
+    windows.push({ ...result, reason: result.depletedIn ? failureReason(result, scenario) : null });
+  }
+  return {
+    years,
+    windows,
+    failures: windows.filter(w => w.depletedIn).length
+  };
+}
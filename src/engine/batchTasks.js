@@ -0,0 +1,54 @@
+// src/engine/batchTasks.js
+// The batch computations the UI runs in the background (see simulationWorker.js).
+// Each task takes its arguments and an `onProgress(progress)` callback, and returns
+// its result; arguments, progress and results are plain data, so they can cross
+// to and from a Web Worker.
+
+import { goalSeek } from "./goalSeek.js";
+import { runMonteCarlo } from "./monteCarlo.js";
+import { optimizeAllocation } from "./optimizer.js";
+
+// Simulations per batch and horizon each task accepts (the panels' inputs use the same)
+export const BATCH_LIMITS = {
+  monteCarlo: { minRuns: 100, maxRuns: 10000, maxYears: 100 },
+  goalSeek: { minRuns: 100, maxRuns: 5000, maxYears: 100 },
+  optimizeAllocation: { minRuns: 100, maxRuns: 2000, maxYears: 100 }
+};
+
+export const BATCH_TASKS = {
+  // options: runMonteCarlo's; progress: { done, total, partial } with the result over the runs done
+  monteCarlo: (options, onProgress) => runMonteCarlo({
+    ...options,
+    partialResults: true,
+    onProgress: (done, partial) => onProgress({ done, total: options.runs, partial })
+  }),
+  // progress: { evaluations } (batches run so far)
+  goalSeek: ({ scenario, options }, onProgress) => goalSeek(scenario, {
+    ...options,
+    onProgress: evaluations => onProgress({ evaluations })
+  }),
+  // progress: { evaluations, leader } (allocations scored so far and the best of them)
+  optimizeAllocation: ({ scenario, options }, onProgress) => optimizeAllocation(scenario, {
+    ...options,
+    onProgress: (evaluations, leader) => onProgress({ evaluations, leader })
+  })
+};
+
+// Problems with a batch's size for task `name`; empty when within BATCH_LIMITS
+export function validateBatchSize(name, { runs, years }) {
+  const { minRuns, maxRuns, maxYears } = BATCH_LIMITS[name];
+  const errors = [];
+  if (!(Number.isInteger(runs) && runs >= minRuns && runs <= maxRuns)) errors.push(`Number of simulations must be between ${minRuns} and ${maxRuns}`);
+  if (!(Number.isInteger(years) && years >= 1 && years <= maxYears)) errors.push(`Horizon must be between 1 and ${maxYears} years`);
+  return errors;
+}
+
+// Run the task called `name`; throws for an unknown task or one outside its limits,
+// and whatever the task throws
+export function runBatchTask(name, args, onProgress = () => {}) {
+  const task = BATCH_TASKS[name];
+  if (!task) throw new Error(`Unknown batch task: ${name}`);
+  const errors = validateBatchSize(name, name === "monteCarlo" ? args : args.options);
+  if (errors.length) throw new Error(errors.join("\n"));
+  return task(args, onProgress);
+}
@@ -0,0 +1,53 @@
+// src/engine/buckets.js
+// Adding and removing buckets while keeping the correlation matrix and
+// refill rules in step with the bucket list.
+
+import { CORRELATION_MATRIX } from "./returns.js";
+import { removeBucketFromRules } from "./refillRules.js";
+
+// Correlation a bucket added "like" an existing one has with that bucket
+export const LIKE_CORRELATION = 0.8;
+
+// Default matrix for n buckets: the built-in estimates for the standard five, else uncorrelated
+export function defaultCorrelationMatrix(n) {
+  if (n === CORRELATION_MATRIX.length) return CORRELATION_MATRIX;
+  return Array(n).fill().map((_, i) => Array(n).fill().map((_, j) => (i === j ? 1 : 0)));
+}
+
+export function newBucket(buckets, likeIndex = null) {
+  const like = likeIndex === null ? null : buckets[likeIndex];
+  return {
+    name: `Bucket ${buckets.length + 1}`,
+    allocation: 0,
+    avgReturn: like ? like.avgReturn : 8,
+    volatility: like ? like.volatility : 5
+  };
+}
+
+/**
+ * Append a bucket. With `likeIndex` the new bucket behaves like that bucket:
+ * correlation LIKE_CORRELATION with it and scaled-down copies of its other
+ * correlations (which keeps the matrix positive definite). Otherwise it is uncorrelated.
+ */
+export function addBucket({ buckets, correlationMatrix }, bucket, likeIndex = null) {
+  const n = buckets.length;
+  const row = Array(n).fill().map((_, j) => {
+    if (likeIndex === null) return 0;
+    return j === likeIndex ? LIKE_CORRELATION : LIKE_CORRELATION * correlationMatrix[likeIndex][j];
+  });
+  return {
+    buckets: [...buckets, bucket],
+    correlationMatrix: [...correlationMatrix.map((r, i) => [...r, row[i]]), [...row, 1]]
+  };
+}
+
+// Drop bucket `index` along with its correlation row/column and any rule that refers to it
+export function removeBucket({ buckets, correlationMatrix, refillRules = [] }, index) {
+  return {
+    buckets: buckets.filter((_, i) => i !== index),
+    correlationMatrix: correlationMatrix
+      .filter((_, i) => i !== index)
+      .map(row => row.filter((_, j) => j !== index)),
+    refillRules: removeBucketFromRules(refillRules, index)
+  };
+}
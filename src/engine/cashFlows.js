@@ -0,0 +1,56 @@
+// src/engine/cashFlows.js
+// Scheduled income and spending on top of the yearly expense.
+//
+// scenario.cashFlows = [{ name, type, flow, amount, startYear, endYear, growth }]
+//   type "recurring" — every year from startYear to endYear (null = no end), `amount` in
+//                      startYear and growing by `growth`% a year after that
+//   type "once"      — a single `amount` in startYear
+//   flow "in" (pension, rent, inheritance) or "out" (wedding, house repair)
+// Years count from 1 like the history table. Amounts are rupees, already net of income tax.
+// Each year inflows first pay the expense; any surplus is added to Bucket 1.
+
+export function newCashFlow(type) {
+  return type === "once"
+    ? { name: "One-off", type: "once", flow: "out", amount: 500000, startYear: 5, endYear: null, growth: 0 }
+    : { name: "Pension", type: "recurring", flow: "in", amount: 200000, startYear: 1, endYear: null, growth: 0 };
+}
+
+export function validateCashFlows(cashFlows) {
+  if (!Array.isArray(cashFlows)) return ["Cash flows must be a list"];
+  const errors = [];
+  cashFlows.forEach((cf, n) => {
+    const where = `Cash flow ${n + 1}${cf.name ? ` (${cf.name})` : ""}`;
+    if (cf.type !== "recurring" && cf.type !== "once") errors.push(`${where}: unknown type "${cf.type}"`);
+    if (cf.flow !== "in" && cf.flow !== "out") errors.push(`${where}: must be an inflow or an outflow`);
+    if (!Number.isFinite(cf.amount) || cf.amount < 0) errors.push(`${where}: amount must be a number >= 0`);
+    if (!Number.isInteger(cf.startYear) || cf.startYear < 1) errors.push(`${where}: start year must be a whole number >= 1`);
+    if (cf.type === "recurring") {
+      if (cf.endYear !== null && !(Number.isInteger(cf.endYear) && cf.endYear >= cf.startYear)) {
+        errors.push(`${where}: end year must be blank or a whole number no earlier than the start year`);
+      }
+      if (!Number.isFinite(cf.growth)) errors.push(`${where}: growth must be a number`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Cash flows falling in history year `year` (1-based), as
+ * [{ name, amount }] with inflows positive and outflows negative.
+ */
+export function cashFlowsForYear(cashFlows, year) {
+  return cashFlows.flatMap(cf => {
+    if (cf.type === "once") {
+      if (year !== cf.startYear) return [];
+      return [{ name: cf.name, amount: cf.flow === "in" ? cf.amount : -cf.amount }];
+    }
+    if (year < cf.startYear || (cf.endYear !== null && year > cf.endYear)) return [];
+    const amount = cf.amount * Math.pow(1 + cf.growth / 100, year - cf.startYear);
+    return [{ name: cf.name, amount: cf.flow === "in" ? amount : -amount }];
+  });
+}
+
+// Net of a year's cash flows (positive = more coming in than going out)
+export function netCashFlow(items) {
+  return items.reduce((s, item) => s + item.amount, 0);
+}
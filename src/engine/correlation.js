@@ -0,0 +1,159 @@
+// src/engine/correlation.js
+// Correlation matrix checks, repair to the nearest valid correlation matrix, and presets.
+
+import { guessAssetClass } from "./assetClasses.js";
+import { cholesky } from "./returns.js";
+
+// Smallest eigenvalue kept when repairing, so the result is safely positive definite
+const MIN_EIGENVALUE = 1e-3;
+
+export function isPositiveDefinite(matrix) {
+  try {
+    cholesky(matrix);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Human-readable problems with a correlation matrix for `n` buckets; empty when valid
+export function validateCorrelationMatrix(matrix, n) {
+  if (!Array.isArray(matrix) || matrix.length !== n || matrix.some(row => !Array.isArray(row) || row.length !== n)) {
+    return [`Correlation matrix must be ${n} x ${n}`];
+  }
+  const errors = [];
+  for (let i = 0; i < n; i++) {
+    if (matrix[i][i] !== 1) errors.push(`Correlation of bucket ${i + 1} with itself must be 1`);
+    for (let j = i + 1; j < n; j++) {
+      const v = matrix[i][j];
+      if (!Number.isFinite(v) || v < -1 || v > 1) errors.push(`Correlation between buckets ${i + 1} and ${j + 1} must be between -1 and 1`);
+      else if (v !== matrix[j][i]) errors.push(`Correlation matrix must be symmetric (buckets ${i + 1} and ${j + 1})`);
+    }
+  }
+  if (errors.length === 0 && !isPositiveDefinite(matrix)) {
+    errors.push("Correlation matrix is not positive definite (these correlations can't all hold at once) — use Repair");
+  }
+  return errors;
+}
+
+// Set entry (i, j) and its mirror (j, i); the diagonal stays 1
+export function setCorrelation(matrix, i, j, value) {
+  if (i === j) return matrix;
+  return matrix.map((row, r) => row.map((v, c) => ((r === i && c === j) || (r === j && c === i) ? value : v)));
+}
+
+// Eigen-decomposition of a symmetric matrix (cyclic Jacobi). Columns of `vectors` are eigenvectors.
+function eigenSymmetric(A) {
+  const n = A.length;
+  const a = A.map(row => [...row]);
+  const v = Array(n).fill().map((_, i) => Array(n).fill().map((_, j) => (i === j ? 1 : 0)));
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let off = 0;
+    for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) off += a[i][j] * a[i][j];
+    if (off < 1e-22) break;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p], akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k], aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p], vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return { values: a.map((row, i) => row[i]), vectors: v };
+}
+
+// V * diag(max(lambda, floor)) * V^T
+function clipEigenvalues(A, floor) {
+  const { values, vectors } = eigenSymmetric(A);
+  const n = A.length;
+  const clipped = values.map(l => Math.max(l, floor));
+  return Array(n).fill().map((_, i) => Array(n).fill().map((_, j) => {
+    let sum = 0;
+    for (let k = 0; k < n; k++) sum += vectors[i][k] * clipped[k] * vectors[j][k];
+    return sum;
+  }));
+}
+
+/**
+ * Nearest correlation matrix (Higham 2002, alternating projections with Dykstra's
+ * correction), then nudged so every eigenvalue is at least MIN_EIGENVALUE.
+ */
+export function nearestCorrelationMatrix(matrix) {
+  const n = matrix.length;
+  // start from a symmetric, clamped copy
+  let Y = matrix.map((row, i) => row.map((v, j) => {
+    const avg = (Number(v) + Number(matrix[j][i])) / 2;
+    return i === j ? 1 : Math.max(-1, Math.min(1, Number.isFinite(avg) ? avg : 0));
+  }));
+  let dS = Array(n).fill().map(() => Array(n).fill(0));
+  for (let iter = 0; iter < 500; iter++) {
+    const R = Y.map((row, i) => row.map((v, j) => v - dS[i][j]));
+    const X = clipEigenvalues(R, 0);
+    dS = X.map((row, i) => row.map((v, j) => v - R[i][j]));
+    const next = X.map((row, i) => row.map((v, j) => (i === j ? 1 : v)));
+    let change = 0;
+    for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) change += (next[i][j] - Y[i][j]) ** 2;
+    Y = next;
+    if (Math.sqrt(change) < 1e-10) break;
+  }
+  // make strictly positive definite and rescale back to a unit diagonal
+  const P = clipEigenvalues(Y, MIN_EIGENVALUE);
+  const d = P.map((row, i) => Math.sqrt(row[i]));
+  // read from the upper triangle only, so rounding can't make the result asymmetric
+  return P.map((row, i) => row.map((_, j) => {
+    if (i === j) return 1;
+    const [r, c] = i < j ? [i, j] : [j, i];
+    return P[r][c] / (d[r] * d[c]);
+  }));
+}
+
+// Preset correlations between asset classes; buckets are classed from their names
+const pairKey = (a, b) => [a, b].sort().join("|");
+
+export const CORRELATION_PRESETS = {
+  estimates: {
+    label: "Normal markets (default estimates)",
+    pairs: {
+      "debt|liquid": 0.4, "gold|liquid": 0.05, "equity|liquid": 0.05,
+      "debt|gold": 0.15, "debt|equity": 0.2, "equity|gold": -0.2,
+      "liquid|liquid": 0.9, "debt|debt": 0.8, "gold|gold": 0.9, "equity|equity": 0.9
+    }
+  },
+  crisis: {
+    label: "Crisis: equities and debt fall together",
+    pairs: {
+      "debt|liquid": 0.5, "gold|liquid": 0, "equity|liquid": 0.3,
+      "debt|gold": 0.1, "debt|equity": 0.6, "equity|gold": 0.1,
+      "liquid|liquid": 0.9, "debt|debt": 0.9, "gold|gold": 0.9, "equity|equity": 0.95
+    }
+  },
+  independent: {
+    label: "Independent (no correlation)",
+    pairs: {}
+  }
+};
+
+// Build a preset matrix for these buckets; repaired if the combination isn't valid
+export function presetCorrelationMatrix(presetKey, buckets) {
+  const { pairs } = CORRELATION_PRESETS[presetKey];
+  const classes = buckets.map(b => guessAssetClass(b.name));
+  const matrix = classes.map((a, i) => classes.map((b, j) => (i === j ? 1 : pairs[pairKey(a, b)] ?? 0)));
+  return isPositiveDefinite(matrix) ? matrix : nearestCorrelationMatrix(matrix);
+}
@@ -0,0 +1,117 @@
+// src/engine/goalSeek.js
+// Goal seek: the largest first-year expense the corpus sustains, or the smallest
+// corpus that sustains the expense, at a target probability of success.
+//
+// Each guess is a full Monte Carlo batch (src/engine/monteCarlo.js) with the same
+// seed, so every guess sees the same random lifetimes and success moves steadily
+// with the amount; the answer is found by bisection. The success rate of a batch is
+// itself an estimate, so the answer comes with a band: the amounts at which the
+// estimate sits at the edges of its 95% confidence interval around the target.
+
+import { runMonteCarlo } from "./monteCarlo.js";
+import { SPENDING_RULES } from "./spending.js";
+import { validateScenario } from "./simulation.js";
+
+export const GOAL_SEEK_MODES = {
+  expense: "Maximum first-year expense",
+  corpus: "Minimum corpus"
+};
+
+// Spending rules that set each year's expense from the portfolio alone never run out,
+// and ignore the first-year expense, so there is nothing to solve for
+const PORTFOLIO_RULES = ["percent", "vpw"];
+
+const Z_95 = 1.96;
+const MAX_BRACKET_STEPS = 30;
+
+/**
+ * Solve for `solveFor` ("expense" or "corpus") so that the share of `runs`
+ * lifetimes of `years` years that never run out is at least `targetSuccess` (0-1).
+ * Returns { solveFor, value, band: [low, high], success, targetSuccess, margin, runs, years, evaluations }
+ * with amounts in whole ₹1,000s, `success` the estimate at `value` and `margin` the
+ * half-width of its 95% interval.
+ * `onProgress(evaluations)` is called after each batch.
+ * Throws when the inputs are invalid or no amount reaches the target.
+ */
+export function goalSeek(scenario, { solveFor, targetSuccess, years, runs, seed, onProgress = null }) {
+  const errors = validateScenario(scenario);
+  if (!GOAL_SEEK_MODES[solveFor]) errors.push(`Solve for must be one of: ${Object.keys(GOAL_SEEK_MODES).join(", ")}`);
+  if (!(targetSuccess > 0 && targetSuccess < 1)) errors.push("Target success must be between 0 and 100% (exclusive)");
+  if (PORTFOLIO_RULES.includes(scenario.spending.type)) {
+    errors.push(`Goal seek needs a spending rule based on the first-year expense; "${SPENDING_RULES[scenario.spending.type]}" follows the portfolio instead`);
+  }
+  if (errors.length) throw new Error(errors.join("\n"));
+
+  const field = solveFor === "expense" ? "firstYearExpenses" : "corpus";
+  // more of the expense lowers success; more corpus raises it
+  const helps = solveFor === "corpus";
+
+  const evaluated = new Map(); // amount -> success probability
+  const success = (amount) => {
+    if (!evaluated.has(amount)) {
+      const result = runMonteCarlo({ ...scenario, [field]: amount, years, runs, seed });
+      evaluated.set(amount, result.successProbability);
+      if (onProgress) onProgress(evaluated.size);
+    }
+    return evaluated.get(amount);
+  };
+
+  // The boundary amount for a success threshold: the largest expense still reaching it,
+  // or the smallest corpus. Starts from the closest amounts already tried on either side.
+  function boundary(threshold) {
+    const meets = (amount) => success(amount) >= threshold;
+    const tried = [...evaluated.keys()].sort((a, b) => a - b);
+    let good = helps ? tried.filter(meets)[0] : tried.filter(meets).at(-1);
+    let bad = helps ? tried.filter(a => !meets(a)).at(-1) : tried.filter(a => !meets(a))[0];
+
+    if (good === undefined || bad === undefined) {
+      const scale = Math.max(scenario.corpus, scenario.firstYearExpenses * years, 100000);
+      const percent = `${(threshold * 100).toFixed(1)}% success over ${years} years`;
+      if (helps) {
+        if (meets(0)) return 0;
+        bad = 0;
+        good = scale;
+        for (let step = 0; !meets(good); step++) {
+          if (step === MAX_BRACKET_STEPS) throw new Error(`No corpus reaches ${percent}`);
+          bad = good;
+          good *= 2;
+        }
+      } else {
+        if (!meets(0)) throw new Error(`Even no expense falls short of ${percent} (check the cash flows)`);
+        good = 0;
+        bad = scale;
+        for (let step = 0; meets(bad); step++) {
+          if (step === MAX_BRACKET_STEPS) throw new Error(`Every expense reaches ${percent} (cash flows may cover it)`);
+          good = bad;
+          bad *= 2;
+        }
+      }
+    }
+
+    while (Math.abs(bad - good) > Math.max(1000, Math.abs(good) * 0.001)) {
+      const mid = (good + bad) / 2;
+      if (meets(mid)) good = mid;
+      else bad = mid;
+    }
+    return good;
+  }
+
+  // answers to the ₹1,000, rounded to the side that still meets the threshold
+  const safe = (amount) => (helps ? Math.ceil(amount / 1000) : Math.floor(amount / 1000)) * 1000;
+  const margin = Z_95 * Math.sqrt(targetSuccess * (1 - targetSuccess) / runs);
+  const value = safe(boundary(targetSuccess));
+  // for an expense, a stricter threshold gives a lower amount; for a corpus, a higher one
+  const strict = safe(boundary(Math.min(1, targetSuccess + margin)));
+  const loose = safe(boundary(Math.max(1 / runs, targetSuccess - margin)));
+  return {
+    solveFor,
+    value,
+    band: helps ? [loose, strict] : [strict, loose],
+    success: success(value),
+    targetSuccess,
+    margin,
+    runs,
+    years,
+    evaluations: evaluated.size
+  };
+}
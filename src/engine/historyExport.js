@@ -0,0 +1,79 @@
+// src/engine/historyExport.js
+// Simulation history as a flat table, for CSV / spreadsheet export and the printed
+// report. Amounts are nominal rupees; the inflation and price-index columns allow
+// converting them to today's rupees.
+
+import { describeTransfer } from "./ledger.js";
+import { RETURN_MODELS } from "./returnModels.js";
+import { describeRuleEvent } from "./refillRules.js";
+import { SPENDING_RULES } from "./spending.js";
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * History as { header, rows }: per bucket return %, return amount, amount withdrawn and end value,
+ * then expense, tax, net cash flow, transfers (manual transfers and refill-rule
+ * moves), inflation, price index and total. Cells are numbers or strings.
+ */
+export function historyTable(buckets, history) {
+  const header = [
+    "Year",
+    ...buckets.map(b => `${b.name} return %`),
+    ...buckets.map(b => `${b.name} return (₹)`),
+    ...buckets.map(b => `${b.name} withdrawn (₹)`),
+    ...buckets.map(b => `${b.name} end value (₹)`),
+    "Expense (₹)",
+    "Tax paid (₹)",
+    "Net cash flow (₹)",
+    "Transfers",
+    "Inflation %",
+    "Price index",
+    "Total (₹)"
+  ];
+  const rows = history.map(row => [
+    row.year,
+    ...row.returnsPct.map(v => round(v, 4)),
+    ...row.returnsAmt.map(v => round(v, 2)),
+    ...row.withdrawals.map(v => round(v, 2)),
+    ...row.endValues.map(v => round(v, 2)),
+    round(row.expense, 2),
+    round(row.taxPaid, 2),
+    round(row.cashFlows.reduce((sum, cf) => sum + cf.amount, 0), 2),
+    [
+      ...row.transfers.map(t => describeTransfer(t, buckets)),
+      ...row.ruleEvents.map(ev => describeRuleEvent(ev, buckets))
+    ].join("; "),
+    round(row.inflation, 4),
+    round(row.priceIndex, 6),
+    round(row.total, 2)
+  ]);
+  return { header, rows };
+}
+
+// The scenario's inputs as [label, value] pairs, for the report and the spreadsheet
+export function scenarioSummary(scenario) {
+  return [
+    ["Corpus (₹)", scenario.corpus],
+    ["First-year expenses (₹)", scenario.firstYearExpenses],
+    [scenario.inflationModel.stochastic ? "Average inflation %" : "Inflation %", scenario.inflation],
+    ["Mode", scenario.mode === "manual" ? "Manual" : "Auto"],
+    ["Seed", scenario.seed],
+    ["Spending rule", SPENDING_RULES[scenario.spending.type] || scenario.spending.type],
+    ["Return model", RETURN_MODELS[scenario.returnModel.type] || scenario.returnModel.type],
+    ["Capital-gains tax", scenario.tax.enabled ? "On" : "Off"],
+    ...scenario.buckets.map(b => [
+      b.name,
+      `${b.allocation}% allocation, ${b.avgReturn}% average return, ${b.volatility}% volatility`
+    ])
+  ];
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// { header, rows } as CSV text
+export function toCsv({ header, rows }) {
+  return [header, ...rows].map(cells => cells.map(csvCell).join(",")).join("\n") + "\n";
+}
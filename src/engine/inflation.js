@@ -0,0 +1,91 @@
+// src/engine/inflation.js
+// Random yearly inflation, correlated with the debt and gold buckets' returns.
+//
+// scenario.inflationModel = { stochastic, volatility, debtCorrelation, goldCorrelation }
+// When `stochastic` is off every year's inflation is scenario.inflation. When on, each
+// year's inflation is scenario.inflation + volatility * z, where z is a standard normal
+// with `debtCorrelation` to buckets classed as debt and `goldCorrelation` to gold
+// buckets (and none to the rest), drawn after the year's returns.
+
+import { guessAssetClass } from "./assetClasses.js";
+import { cholesky, randn } from "./returns.js";
+
+export const DEFAULT_INFLATION_MODEL = {
+  stochastic: false,
+  volatility: 1.5,
+  debtCorrelation: -0.3,
+  goldCorrelation: 0.3
+};
+
+// Correlation of inflation with each bucket's return
+function targetCorrelations(buckets, model) {
+  return buckets.map(b => {
+    const assetClass = guessAssetClass(b.name);
+    if (assetClass === "debt") return model.debtCorrelation;
+    if (assetClass === "gold") return model.goldCorrelation;
+    return 0;
+  });
+}
+
+// Solve L y = c (L lower triangular)
+function forwardSolve(L, c) {
+  const y = [];
+  for (let i = 0; i < c.length; i++) {
+    let sum = c[i];
+    for (let j = 0; j < i; j++) sum -= L[i][j] * y[j];
+    y.push(sum / L[i][i]);
+  }
+  return y;
+}
+
+/**
+ * Loadings of inflation on the independent normals behind the bucket returns
+ * (z = L e). Returns { loadings, residual } where residual is the variance left
+ * for inflation's own shock; negative means the correlations can't all hold.
+ */
+export function inflationLink(buckets, correlationMatrix, model, L = cholesky(correlationMatrix)) {
+  const loadings = forwardSolve(L, targetCorrelations(buckets, model));
+  return { loadings, residual: 1 - loadings.reduce((s, v) => s + v * v, 0) };
+}
+
+export function validateInflationModel(model, buckets, correlationMatrix) {
+  if (!model) return ["Inflation settings are missing"];
+  if (!model.stochastic) return [];
+  const errors = [];
+  if (!(model.volatility >= 0)) errors.push("Inflation volatility must be a number >= 0");
+  [["debtCorrelation", "debt"], ["goldCorrelation", "gold"]].forEach(([key, label]) => {
+    if (!(model[key] >= -1 && model[key] <= 1)) errors.push(`Inflation correlation with ${label} must be between -1 and 1`);
+  });
+  if (errors.length === 0) {
+    try {
+      if (inflationLink(buckets, correlationMatrix, model).residual < 0) {
+        errors.push("Inflation correlations don't fit the bucket correlations — lower them");
+      }
+    } catch {
+      // the correlation matrix itself is reported by validateCorrelationMatrix
+    }
+  }
+  return errors;
+}
+
+/**
+ * This year's inflation (%). `z` are the correlated standard normals behind this
+ * year's returns (see drawReturns), `L` the Cholesky factor they came from and
+ * `link` the result of inflationLink.
+ */
+export function drawInflation(mean, model, { z, L, link, rng = Math.random }) {
+  if (!model.stochastic) return mean;
+  const e = forwardSolve(L, z);
+  const shock = link.loadings.reduce((s, v, i) => s + v * e[i], 0) + Math.sqrt(Math.max(0, link.residual)) * randn(rng);
+  return Math.max(-99, mean + model.volatility * shock);
+}
+
+// Price level after `year` years relative to the start (1 = start)
+export function fixedPriceIndex(inflation, year) {
+  return Math.pow(1 + inflation / 100, year);
+}
+
+// Price level at the start of a history row's year (its expense was set in these prices)
+export function startPriceIndex(row) {
+  return row.priceIndex / (1 + row.inflation / 100);
+}
@@ -0,0 +1,49 @@
+// src/engine/ledger.js
+// Year-by-year ledger: how each bucket got from one year-end value to the next.
+// Manual transfers are in each row's `transfers`, refill-rule moves in its
+// `ruleEvents`, and money paid out for the expense (and its tax) in `withdrawals`.
+
+const name = (buckets, i) => buckets[i]?.name || `Bucket ${i + 1}`;
+const lakh = amount => `₹${(amount / 100000).toFixed(2)} lakh`;
+
+// Text for an entry of a history row's `transfers`
+export function describeTransfer(transfer, buckets) {
+  const afterTax = transfer.received < transfer.amount ? ` (${lakh(transfer.received)} after tax)` : "";
+  const resolved = transfer.resolvedPending ? ", covering the shortfall" : "";
+  return `Transfer ${lakh(transfer.amount)} ${name(buckets, transfer.from)} → ${name(buckets, transfer.to)}${afterTax}${resolved}`;
+}
+
+/**
+ * Per-bucket reconciliation of `row` from `previousEnd` (the year before's end
+ * values; when null, the start is worked back from the row), as arrays per bucket:
+ *   { start, transfers, returns, refills, cashIn, withdrawn, end }
+ * with start + transfers + returns + refills + cashIn − withdrawn = end.
+ */
+export function rowLedger(row, previousEnd = null) {
+  const n = row.endValues.length;
+  const transfers = Array(n).fill(0);
+  row.transfers.forEach(t => {
+    transfers[t.from] -= t.amount;
+    transfers[t.to] += t.received;
+  });
+  const refills = Array(n).fill(0);
+  row.ruleEvents.forEach(ev => {
+    if (ev.type !== "refill") return;
+    refills[ev.from] -= ev.amount;
+    refills[ev.to] += ev.amount;
+  });
+  // a cash-flow surplus over the expense is added to Bucket 1
+  const net = row.cashFlows.reduce((s, cf) => s + cf.amount, 0);
+  const cashIn = Array.from({ length: n }, (_, i) => (i === 0 ? Math.max(0, net - row.expense) : 0));
+  const start = previousEnd || row.endValues.map((end, i) =>
+    end - transfers[i] - row.returnsAmt[i] - refills[i] - cashIn[i] + row.withdrawals[i]);
+  return {
+    start,
+    transfers,
+    returns: row.returnsAmt,
+    refills,
+    cashIn,
+    withdrawn: row.withdrawals,
+    end: row.endValues
+  };
+}
@@ -0,0 +1,72 @@
+// src/engine/metrics.js
+// Outcome metrics for a simulation so far, computed from its history. Amounts are
+// nominal rupees and rates are percentages.
+//
+// Portfolio CAGR is time-weighted: each year's returns over the corpus at the start
+// of that year, so withdrawals and transfers don't count as losses. A bucket's
+// realised CAGR compounds the returns it actually drew, to compare with its average.
+
+import { rowLedger } from "./ledger.js";
+import { expenseForState } from "./simulation.js";
+
+const sum = values => values.reduce((s, v) => s + v, 0);
+
+// Annualised % from yearly growth factors (1 + r), or null with none
+function cagr(factors) {
+  if (factors.length === 0) return null;
+  const product = factors.reduce((p, f) => p * f, 1);
+  return product > 0 ? (product ** (1 / factors.length) - 1) * 100 : -100;
+}
+
+// Largest fall of the total from an earlier peak, as { pct, peakYear, troughYear }, or null
+function maxDrawdown(totals) {
+  let peak = totals[0];
+  let worst = null;
+  totals.forEach(point => {
+    if (point.total > peak.total) {
+      peak = point;
+      return;
+    }
+    const pct = peak.total > 0 ? (1 - point.total / peak.total) * 100 : 0;
+    if (pct > 0 && (!worst || pct > worst.pct)) worst = { pct, peakYear: peak.year, troughYear: point.year };
+  });
+  return worst;
+}
+
+/**
+ * Metrics for `state` (null before the first year):
+ *   { depletedIn, minCorpus: { amount, year }, finalCorpus, portfolioCagr,
+ *     bucketCagr[], maxDrawdown: { pct, peakYear, troughYear } | null,
+ *     totalWithdrawn, totalTax, withdrawalRate, yearsOfExpenses }
+ * withdrawalRate and yearsOfExpenses compare the coming year's expense with the
+ * corpus now (null when there's nothing left); yearsOfExpenses ignores growth.
+ */
+export function outcomeMetrics(scenario, state) {
+  const { history } = state;
+  if (history.length === 0) return null;
+
+  const startTotal = sum(rowLedger(history[0]).start);
+  const totals = [{ year: 0, total: startTotal }, ...history.map(row => ({ year: row.year, total: row.total }))];
+  const minRow = history.reduce((min, row) => (row.total < min.total ? row : min), history[0]);
+
+  // a depleted corpus has no return to speak of, so those years are left out
+  const portfolioFactors = history
+    .map((row, i) => ({ base: totals[i].total, gain: sum(row.returnsAmt) }))
+    .filter(({ base }) => base > 0)
+    .map(({ base, gain }) => 1 + gain / base);
+
+  const total = sum(state.balances);
+  const expense = expenseForState(scenario, state);
+  return {
+    depletedIn: state.depletedIn,
+    minCorpus: { amount: minRow.total, year: minRow.year },
+    finalCorpus: history[history.length - 1].total,
+    portfolioCagr: cagr(portfolioFactors),
+    bucketCagr: history[0].returnsPct.map((_, i) => cagr(history.map(row => 1 + row.returnsPct[i] / 100))),
+    maxDrawdown: maxDrawdown(totals),
+    totalWithdrawn: sum(history.map(row => sum(row.withdrawals))),
+    totalTax: sum(history.map(row => row.taxPaid)),
+    withdrawalRate: total > 0 ? (expense / total) * 100 : null,
+    yearsOfExpenses: total > 0 && expense > 0 ? total / expense : null
+  };
+}
@@ -0,0 +1,106 @@
+// src/engine/monteCarlo.js
+// Batch mode: simulate many retirement lifetimes, each stepped year by year through
+// the same Auto-mode stepYear as the step-by-step simulation.
+
+import { randomSeed } from "./random.js";
+import { DEFAULT_INFLATION_MODEL } from "./inflation.js";
+import { CORRELATION_MATRIX } from "./returns.js";
+import { DEFAULT_RETURN_MODEL } from "./returnModels.js";
+import { startSimulation, stepYear } from "./simulation.js";
+import { DEFAULT_SPENDING } from "./spending.js";
+import { DEFAULT_TAX } from "./tax.js";
+
+// Percentile (0-100) of an ascending sorted array, linearly interpolated
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const pos = (sorted.length - 1) * (p / 100);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// The result over the first `done` runs (see runMonteCarlo)
+function summarize(totals, depletionCounts, successes, done, years) {
+  const percentiles = totals.map((values, year) => {
+    const sorted = Array.from(values.subarray(0, done)).sort((a, b) => a - b);
+    return {
+      year,
+      p10: percentile(sorted, 10),
+      p50: percentile(sorted, 50),
+      p90: percentile(sorted, 90)
+    };
+  });
+
+  return {
+    runs: done,
+    years,
+    successProbability: done > 0 ? successes / done : 0,
+    percentiles,
+    depletionCounts: [...depletionCounts]
+  };
+}
+
+/**
+ * Run `runs` independent lifetimes of `years` years each. The same `seed`
+ * (and inputs) always produces the same result.
+ *
+ * Returns:
+ * - successProbability: share of runs (0-1) that covered every year's expense
+ * - percentiles: per year (0..years) { year, p10, p50, p90 } of total corpus
+ * - depletionCounts: depletionCounts[y] = runs that ran out of money in year y (index 0 unused)
+ *
+ * `onProgress(done, partial)` is called every `progressEvery` runs with the number
+ * done and, when `partialResults` is set, the result over those runs so far.
+ */
+export function runMonteCarlo({
+  corpus,
+  firstYearExpenses,
+  inflation,
+  buckets,
+  years,
+  runs,
+  seed,
+  correlationMatrix = CORRELATION_MATRIX,
+  refillRules = [],
+  returnModel = DEFAULT_RETURN_MODEL,
+  tax = DEFAULT_TAX,
+  spending = DEFAULT_SPENDING,
+  cashFlows = [],
+  inflationModel = DEFAULT_INFLATION_MODEL,
+  onProgress = null,
+  progressEvery = Math.max(1, Math.ceil(runs / 20)),
+  partialResults = false
+}) {
+  const scenario = { corpus, firstYearExpenses, inflation, mode: "auto", buckets, correlationMatrix, refillRules, returnModel, tax, spending, cashFlows, inflationModel };
+  const start = startSimulation({ ...scenario, seed: seed === undefined ? randomSeed() : seed });
+
+  // totals[y][run] = total corpus at end of year y
+  const totals = Array(years + 1).fill().map(() => new Float64Array(runs));
+  const depletionCounts = Array(years + 1).fill(0);
+  let successes = 0;
+  // one random stream across all runs: each run picks up where the previous one stopped
+  let rngState = start.rngState;
+
+  for (let run = 0; run < runs; run++) {
+    let state = { ...start, rngState };
+    totals[0][run] = corpus;
+    for (let year = 1; year <= years; year++) {
+      // a run stops drawing once it's out of money
+      if (state.depletedIn === null) {
+        const next = stepYear(scenario, state);
+        // only the latest row is needed (by the spending rules); don't let history grow
+        state = { ...next, history: next.history.slice(-1) };
+      }
+      totals[year][run] = state.balances.reduce((s, v) => s + v, 0);
+    }
+    rngState = state.rngState;
+    if (state.depletedIn === null) successes++;
+    else depletionCounts[state.depletedIn]++;
+    const done = run + 1;
+    if (onProgress && done < runs && done % progressEvery === 0) {
+      onProgress(done, partialResults ? summarize(totals, depletionCounts, successes, done, years) : null);
+    }
+  }
+
+  return summarize(totals, depletionCounts, successes, runs, years);
+}
@@ -0,0 +1,135 @@
+// src/engine/optimizer.js
+// Allocation optimiser: searches bucket allocations (multiples of `step`%, within
+// per-bucket min/max bounds) for the best Monte Carlo outcome under the current
+// return, volatility and correlation assumptions.
+//
+// Every allocation is scored with the same seed, so all of them face the same random
+// lifetimes. The search scores random allocations (and the current one), then climbs
+// from the best by moving one step between two buckets at a time until no move helps.
+// Everything scored is kept, so the risk/outcome trade-off can be plotted from it.
+
+import { runMonteCarlo } from "./monteCarlo.js";
+import { createRng } from "./random.js";
+import { validateScenario } from "./simulation.js";
+
+export const OPTIMIZER_OBJECTIVES = {
+  success: "Success probability",
+  median: "Median final corpus"
+};
+
+const MAX_CLIMB_ROUNDS = 50;
+
+const sum = values => values.reduce((s, v) => s + v, 0);
+
+// Annual volatility (%) of a portfolio with `allocations` (%) across `buckets`
+export function portfolioVolatility(buckets, correlationMatrix, allocations) {
+  const w = allocations.map((a, i) => (a / 100) * buckets[i].volatility);
+  let variance = 0;
+  w.forEach((wi, i) => w.forEach((wj, j) => { variance += wi * wj * correlationMatrix[i][j]; }));
+  return Math.sqrt(Math.max(0, variance));
+}
+
+export function validateBounds(bounds, step, bucketCount) {
+  const errors = [];
+  if (!(Number.isInteger(step) && step > 0 && 100 % step === 0)) errors.push("Step must be a whole number of % that divides 100");
+  if (bounds.length !== bucketCount) errors.push("Give a minimum and maximum for each bucket");
+  bounds.forEach(({ min, max }, i) => {
+    if (!(min >= 0 && max <= 100 && min <= max)) errors.push(`Bucket ${i + 1}: bounds must satisfy 0 <= min <= max <= 100`);
+  });
+  if (errors.length === 0) {
+    const lo = sum(bounds.map(b => Math.ceil(b.min / step)));
+    const hi = sum(bounds.map(b => Math.floor(b.max / step)));
+    if (lo * step > 100) errors.push(`The minimums add up to more than 100% (in ${step}% steps)`);
+    if (hi * step < 100) errors.push(`The maximums add up to less than 100% (in ${step}% steps)`);
+  }
+  return errors;
+}
+
+// A random allocation within the bounds, in steps, adding up to 100
+function randomAllocation(bounds, step, rng) {
+  const allocation = bounds.map(b => Math.ceil(b.min / step));
+  const hi = bounds.map(b => Math.floor(b.max / step));
+  for (let left = 100 / step - sum(allocation); left > 0; left--) {
+    const open = allocation.map((_, i) => i).filter(i => allocation[i] < hi[i]);
+    allocation[open[Math.floor(rng() * open.length)]]++;
+  }
+  return allocation.map(units => units * step);
+}
+
+/**
+ * Search allocations for the best `objective` ("success" or "median") over `runs`
+ * lifetimes of `years` years. `bounds` is [{ min, max }] (%) per bucket and `samples`
+ * the number of random starting allocations.
+ * Returns { objective, best, candidates, frontier, evaluations }; each candidate is
+ * { allocations, success, median, risk, expectedReturn } and `frontier` holds the
+ * candidates no other beats on both risk (volatility) and outcome, by rising risk.
+ * `onProgress(evaluations, leader)` is called after each allocation is scored, with
+ * the best one so far.
+ * Throws when the scenario or bounds are invalid.
+ */
+export function optimizeAllocation(scenario, { objective, bounds, step, years, runs, seed, samples = 40, onProgress = null }) {
+  const errors = [...validateScenario(scenario), ...validateBounds(bounds, step, scenario.buckets.length)];
+  if (!OPTIMIZER_OBJECTIVES[objective]) errors.push(`Objective must be one of: ${Object.keys(OPTIMIZER_OBJECTIVES).join(", ")}`);
+  if (errors.length) throw new Error(errors.join("\n"));
+
+  // the objective first, the other measure to break ties (e.g. many allocations never run out)
+  const better = (a, b) => (objective === "success"
+    ? a.success > b.success || (a.success === b.success && a.median > b.median)
+    : a.median > b.median || (a.median === b.median && a.success > b.success));
+
+  const { buckets, correlationMatrix } = scenario;
+  const scored = new Map(); // allocations.join(",") -> candidate
+  let leader = null;
+  function score(allocations) {
+    const key = allocations.join(",");
+    if (!scored.has(key)) {
+      const result = runMonteCarlo({
+        ...scenario,
+        buckets: buckets.map((b, i) => ({ ...b, allocation: allocations[i] })),
+        years,
+        runs,
+        seed
+      });
+      scored.set(key, {
+        allocations,
+        success: result.successProbability,
+        median: result.percentiles[years].p50,
+        risk: portfolioVolatility(buckets, correlationMatrix, allocations),
+        expectedReturn: sum(allocations.map((a, i) => (a / 100) * buckets[i].avgReturn))
+      });
+      const candidate = scored.get(key);
+      if (!leader || better(candidate, leader)) leader = candidate;
+      if (onProgress) onProgress(scored.size, leader);
+    }
+    return scored.get(key);
+  }
+
+  const current = buckets.map(b => b.allocation);
+  const currentFits = current.every((a, i) => a % step === 0 && a >= bounds[i].min && a <= bounds[i].max);
+  const rng = createRng(seed);
+  const starts = [...(currentFits ? [current] : []), ...Array.from({ length: samples }, () => randomAllocation(bounds, step, rng))];
+  let best = starts.map(score).reduce((a, b) => (better(b, a) ? b : a));
+
+  for (let round = 0; round < MAX_CLIMB_ROUNDS; round++) {
+    let next = best;
+    best.allocations.forEach((_, from) => best.allocations.forEach((__, to) => {
+      if (from === to) return;
+      const moved = best.allocations.map((a, i) => (i === from ? a - step : i === to ? a + step : a));
+      if (moved[from] < bounds[from].min || moved[to] > bounds[to].max) return;
+      const candidate = score(moved);
+      if (better(candidate, next)) next = candidate;
+    }));
+    if (next === best) break;
+    best = next;
+  }
+
+  // by rising risk, each frontier point beats every less risky one (ties broken as above)
+  const candidates = [...scored.values()];
+  const frontier = [];
+  [...candidates]
+    .sort((a, b) => a.risk - b.risk || (better(a, b) ? -1 : better(b, a) ? 1 : 0))
+    .forEach(c => {
+      if (frontier.length === 0 || better(c, frontier[frontier.length - 1])) frontier.push(c);
+    });
+  return { objective, best, candidates, frontier, evaluations: scored.size };
+}
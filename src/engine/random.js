@@ -0,0 +1,34 @@
+// src/engine/random.js
+// Seedable PRNG so a seed plus inputs always reproduces the same returns.
+
+// mulberry32: small, fast 32-bit generator. Returns a function yielding [0, 1)
+// like Math.random; `getState()` can be fed back into createRng to resume the stream.
+export function createRng(seed) {
+  let state = seed >>> 0;
+  function next() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  next.getState = () => state;
+  return next;
+}
+
+// Turn user input into a 32-bit seed: integers are used as-is, any other text is hashed (FNV-1a)
+export function normalizeSeed(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Fresh seed for a new run
+export function randomSeed() {
+  return Math.floor(Math.random() * 1000000000);
+}
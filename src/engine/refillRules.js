@@ -0,0 +1,193 @@
+// src/engine/refillRules.js
+// Rule-based bucket refills for Auto mode.
+//
+// Rules are plain objects, applied in list order after each year's withdrawal:
+//   { type: "refill", target, source, years, minSourceReturn }
+//       top up bucket `target` to `years` x next year's expense from bucket `source`;
+//       if `minSourceReturn` is a number, only after a year where `source` returned at least that %
+//   { type: "skipAfterLoss", buckets: [] }
+//       never sell from these buckets in a year they had a negative return
+//       (except as a last resort when nothing else can cover the expense)
+// An empty list is the plain waterfall over bucket order.
+
+import { guessSeries } from "./assetClasses.js";
+import { withdrawWaterfall } from "./withdrawal.js";
+
+// Indices of the buckets whose names suggest one of `series` (see assetClasses.js)
+function bucketsOf(buckets, ...series) {
+  return buckets.flatMap((b, i) => (series.includes(guessSeries(b.name)) ? [i] : []));
+}
+
+const EQUITY_SERIES = ["nifty50", "midcap", "smallcap"];
+
+// Presets are built from the current buckets by asset class; `rules(buckets)` returns
+// null when the buckets lack what the preset needs (`needs`)
+export const REFILL_PRESETS = {
+  waterfall: {
+    label: "Waterfall (withdraw in bucket order)",
+    needs: "",
+    rules: () => []
+  },
+  classic: {
+    label: "Classic buckets: 2 yrs liquid, refill debt after good equity years",
+    needs: "liquid, debt and equity buckets",
+    rules: (buckets) => {
+      const [liquid] = bucketsOf(buckets, "liquid");
+      const [debt] = bucketsOf(buckets, "debt");
+      const equity = bucketsOf(buckets, ...EQUITY_SERIES);
+      if (liquid === undefined || debt === undefined || equity.length === 0) return null;
+      return [
+        { type: "refill", target: liquid, source: debt, years: 2, minSourceReturn: null },
+        // large caps after an 8% year, the more volatile mid/small caps after 10%
+        ...equity.map(i => ({ type: "refill", target: debt, source: i, years: 5, minSourceReturn: guessSeries(buckets[i].name) === "nifty50" ? 8 : 10 })),
+        { type: "skipAfterLoss", buckets: equity }
+      ];
+    }
+  },
+  cautious: {
+    label: "Cautious: 3 yrs liquid, no equity sales after a loss",
+    needs: "liquid, debt and gold or large-cap equity buckets",
+    rules: (buckets) => {
+      const [liquid] = bucketsOf(buckets, "liquid");
+      const [debt] = bucketsOf(buckets, "debt");
+      const sources = bucketsOf(buckets, "gold", "nifty50");
+      if (liquid === undefined || debt === undefined || sources.length === 0) return null;
+      return [
+        { type: "refill", target: liquid, source: debt, years: 3, minSourceReturn: null },
+        ...sources.map(i => ({ type: "refill", target: debt, source: i, years: 3, minSourceReturn: 0 })),
+        { type: "skipAfterLoss", buckets: bucketsOf(buckets, ...EQUITY_SERIES) }
+      ];
+    }
+  }
+};
+
+export function newRule(type) {
+  return type === "skipAfterLoss"
+    ? { type: "skipAfterLoss", buckets: [] }
+    : { type: "refill", target: 0, source: 1, years: 2, minSourceReturn: null };
+}
+
+// Name of the preset these rules match for these buckets, or "custom"
+export function matchPreset(rules, buckets) {
+  const json = JSON.stringify(rules);
+  return Object.keys(REFILL_PRESETS).find(key => JSON.stringify(REFILL_PRESETS[key].rules(buckets)) === json) || "custom";
+}
+
+export function validateRules(rules, bucketCount) {
+  const errors = [];
+  const inRange = i => Number.isInteger(i) && i >= 0 && i < bucketCount;
+  rules.forEach((rule, n) => {
+    const where = `Refill rule ${n + 1}`;
+    if (rule.type === "refill") {
+      if (!inRange(rule.target) || !inRange(rule.source)) errors.push(`${where}: unknown bucket`);
+      else if (rule.target === rule.source) errors.push(`${where}: source and target must differ`);
+      if (!Number.isFinite(rule.years) || rule.years < 0) errors.push(`${where}: years must be >= 0`);
+      if (rule.minSourceReturn !== null && !Number.isFinite(rule.minSourceReturn)) errors.push(`${where}: minimum return must be a number`);
+    } else if (rule.type === "skipAfterLoss") {
+      if (!Array.isArray(rule.buckets) || !rule.buckets.every(inRange)) errors.push(`${where}: unknown bucket`);
+    } else {
+      errors.push(`${where}: unknown rule type "${rule.type}"`);
+    }
+  });
+  return errors;
+}
+
+// Rules after bucket `index` is removed: rules that move money to/from it are
+// dropped and later bucket indices shift down by one
+export function removeBucketFromRules(rules, index) {
+  const shift = i => (i > index ? i - 1 : i);
+  return rules
+    .filter(rule => rule.type !== "refill" || (rule.target !== index && rule.source !== index))
+    .map(rule => rule.type === "refill"
+      ? { ...rule, target: shift(rule.target), source: shift(rule.source) }
+      : { ...rule, buckets: rule.buckets.filter(i => i !== index).map(shift) });
+}
+
+const name = (buckets, i) => buckets[i]?.name || `Bucket ${i + 1}`;
+const lakh = amount => `₹${(amount / 100000).toFixed(2)} lakh`;
+
+export function describeRule(rule, buckets) {
+  if (rule.type === "skipAfterLoss") {
+    const names = rule.buckets.map(i => name(buckets, i)).join(", ") || "no buckets";
+    return `Skip sales from ${names} after a negative year`;
+  }
+  const condition = rule.minSourceReturn === null ? "" : ` when its return is at least ${rule.minSourceReturn}%`;
+  return `Keep ${name(buckets, rule.target)} at ${rule.years} year(s) of expenses, refilled from ${name(buckets, rule.source)}${condition}`;
+}
+
+// Text for an entry of a history row's `ruleEvents`
+export function describeRuleEvent(event, buckets) {
+  if (event.type === "refill") {
+    return `Rule ${event.rule + 1}: moved ${lakh(event.amount)} ${name(buckets, event.from)} → ${name(buckets, event.to)}`;
+  }
+  if (event.type === "skip") {
+    return `Rule ${event.rule + 1}: skipped selling ${name(buckets, event.from)} after a ${event.returnPct.toFixed(2)}% year`;
+  }
+  return `Last resort: sold ${lakh(event.amount)} from protected ${name(buckets, event.from)}`;
+}
+
+// Withdraw `expense` in bucket order, leaving `protectedSet` buckets until nothing else is left
+function withdrawAvoiding(balances, expense, protectedSet, events) {
+  const result = [...balances];
+  let remaining = expense;
+  const order = [
+    ...result.map((_, i) => i).filter(i => !protectedSet.has(i)),
+    ...result.map((_, i) => i).filter(i => protectedSet.has(i))
+  ];
+  for (const i of order) {
+    if (remaining <= 0) break;
+    const take = Math.min(result[i], remaining);
+    if (take <= 0) continue;
+    if (protectedSet.has(i)) events.push({ rule: null, type: "lastResort", from: i, to: null, amount: take });
+    result[i] -= take;
+    remaining -= take;
+  }
+  return result;
+}
+
+/**
+ * One Auto-mode year after returns: pay `expense`, then run the refill rules.
+ * Returns { balances, depleted, events } where `events` logs each rule that fired.
+ */
+export function autoWithdraw(balances, expense, { rules = [], returnsPct = [], nextExpense = expense } = {}) {
+  if (rules.length === 0) {
+    return { ...withdrawWaterfall(balances, expense), events: [] };
+  }
+
+  const total = balances.reduce((s, v) => s + v, 0);
+  if (total < expense) {
+    // If not enough in all buckets, set all to zero
+    return { balances: balances.map(() => 0), depleted: true, events: [] };
+  }
+
+  const events = [];
+  // buckets that may not be sold from this year, with the rule protecting them
+  const protectedBy = new Map();
+  rules.forEach((rule, n) => {
+    if (rule.type !== "skipAfterLoss") return;
+    rule.buckets.forEach(i => {
+      if (returnsPct[i] < 0 && !protectedBy.has(i)) protectedBy.set(i, n);
+    });
+  });
+  const protectedSet = new Set(protectedBy.keys());
+
+  const result = withdrawAvoiding(balances, expense, protectedSet, events);
+
+  rules.forEach((rule, n) => {
+    if (rule.type !== "refill") return;
+    const { target, source, years, minSourceReturn } = rule;
+    if (minSourceReturn !== null && !(returnsPct[source] >= minSourceReturn)) return;
+    const needed = years * nextExpense - result[target];
+    if (needed <= 0 || result[source] <= 0) return;
+    if (protectedSet.has(source)) {
+      events.push({ rule: protectedBy.get(source), type: "skip", from: source, to: target, amount: 0, returnPct: returnsPct[source] });
+      return;
+    }
+    const amount = Math.min(needed, result[source]);
+    result[source] -= amount;
+    result[target] += amount;
+    events.push({ rule: n, type: "refill", from: source, to: target, amount });
+  });
+
+  return { balances: result, depleted: false, events };
+}
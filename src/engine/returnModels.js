@@ -0,0 +1,136 @@
+// src/engine/returnModels.js
+// Selectable return distributions. Every model starts from the same correlated
+// standard normals (Cholesky of the bucket correlation matrix), so the
+// correlation structure is kept whichever model is chosen.
+//
+// scenario.returnModel = { type, df, pBullToBear, pBearToBull }
+//   normal    — avgReturn + z * volatility (can go below -100%, which is clamped at 0 balance)
+//   lognormal — gross return exp(mu + sigma * z) matched to avgReturn/volatility; never below -100%
+//   studentT  — fat tails: multivariate Student-t with `df` degrees of freedom, scaled to volatility
+//   regime    — two-state bull/bear Markov chain; each bucket has per-regime mean and volatility
+//               (bucket.regimes, see defaultRegimes) and the chain switches with the given probabilities
+
+import { cholesky, correlatedReturns, randn } from "./returns.js";
+
+export const RETURN_MODELS = {
+  normal: "Normal (default)",
+  lognormal: "Lognormal",
+  studentT: "Student-t (fat tails)",
+  regime: "Bull/bear regime switching"
+};
+
+export const DEFAULT_RETURN_MODEL = { type: "normal", df: 5, pBullToBear: 0.2, pBearToBull: 0.5 };
+
+// Per-regime parameters a bucket uses unless it has its own `regimes`; with the
+// default switch probabilities (bear ~2 years in 7) the long-run average stays avgReturn
+export function defaultRegimes(bucket) {
+  const { avgReturn, volatility } = bucket;
+  return {
+    bull: { avgReturn: avgReturn + 0.4 * volatility, volatility: 0.8 * volatility },
+    bear: { avgReturn: avgReturn - volatility, volatility: 1.5 * volatility }
+  };
+}
+
+export function bucketRegimes(bucket) {
+  return bucket.regimes || defaultRegimes(bucket);
+}
+
+export function validateReturnModel(model, buckets) {
+  const errors = [];
+  if (!model || !RETURN_MODELS[model.type]) {
+    return [`Return model must be one of: ${Object.keys(RETURN_MODELS).join(", ")}`];
+  }
+  if (model.type === "studentT" && !(model.df > 2)) {
+    errors.push("Student-t degrees of freedom must be greater than 2");
+  }
+  if (model.type === "regime") {
+    [["pBullToBear", "Bull → bear"], ["pBearToBull", "Bear → bull"]].forEach(([key, label]) => {
+      if (!(model[key] >= 0 && model[key] <= 1)) errors.push(`${label} probability must be between 0 and 1`);
+    });
+    if (model.pBullToBear + model.pBearToBull === 0) errors.push("At least one regime switch probability must be above 0");
+    buckets.forEach((b, i) => {
+      const r = bucketRegimes(b);
+      ["bull", "bear"].forEach(state => {
+        if (!Number.isFinite(r[state].avgReturn) || !(r[state].volatility >= 0)) {
+          errors.push(`Bucket ${i + 1} (${b.name}): ${state} mean and volatility must be numbers (volatility >= 0)`);
+        }
+      });
+    });
+  }
+  return errors;
+}
+
+// Gamma(shape, 1) variate (Marsaglia–Tsang)
+function randGamma(shape, rng) {
+  if (shape < 1) {
+    let u = 0;
+    while (u === 0) u = rng();
+    return randGamma(shape + 1, rng) * Math.pow(u, 1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do {
+      x = randn(rng);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    let u = 0;
+    while (u === 0) u = rng();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+// Share of years spent in the bear regime in the long run
+function stationaryBear(model) {
+  return model.pBullToBear / (model.pBullToBear + model.pBearToBull);
+}
+
+/**
+ * Draw one year's returns (%) for every bucket.
+ * `regime` is the chain state carried between years ("bull" | "bear", or null
+ * before the first draw, which then starts from the long-run distribution).
+ * Returns { returnsPct, regime, z } — regime is null for models without one and
+ * z holds the correlated standard normals the returns were built from.
+ */
+export function drawReturns(buckets, correlationMatrix, model = DEFAULT_RETURN_MODEL, { rng = Math.random, L = cholesky(correlationMatrix), regime = null } = {}) {
+  const avgReturns = buckets.map(b => b.avgReturn);
+  const volatilities = buckets.map(b => b.volatility);
+
+  let next = null;
+  if (model.type === "regime") {
+    if (!regime) next = rng() < stationaryBear(model) ? "bear" : "bull";
+    else if (regime === "bull") next = rng() < model.pBullToBear ? "bear" : "bull";
+    else next = rng() < model.pBearToBull ? "bull" : "bear";
+  }
+
+  // correlated standard normals (mean 0, volatility 1)
+  const z = correlatedReturns(avgReturns.map(() => 0), volatilities.map(() => 1), correlationMatrix, { rng, L });
+
+  if (next) {
+    const params = buckets.map(b => bucketRegimes(b)[next]);
+    return { returnsPct: z.map((zi, i) => params[i].avgReturn + zi * params[i].volatility), regime: next, z };
+  }
+
+  if (model.type === "lognormal") {
+    const returnsPct = z.map((zi, i) => {
+      const m = avgReturns[i] / 100;
+      const s = volatilities[i] / 100;
+      if (m <= -1) return -100;
+      const sigma2 = Math.log(1 + (s * s) / ((1 + m) * (1 + m)));
+      const mu = Math.log(1 + m) - sigma2 / 2;
+      return (Math.exp(mu + Math.sqrt(sigma2) * zi) - 1) * 100;
+    });
+    return { returnsPct, regime: null, z };
+  }
+
+  if (model.type === "studentT") {
+    // one shared chi-square draw keeps the correlations (multivariate t), scaled to unit variance
+    const { df } = model;
+    const w = Math.sqrt(df / (2 * randGamma(df / 2, rng))) * Math.sqrt((df - 2) / df);
+    return { returnsPct: z.map((zi, i) => avgReturns[i] + zi * w * volatilities[i]), regime: null, z };
+  }
+
+  return { returnsPct: z.map((zi, i) => avgReturns[i] + zi * volatilities[i]), regime: null, z };
+}
@@ -0,0 +1,59 @@
+// src/engine/returns.js
+// Random return generation shared by the step-by-step simulation and batch runs.
+
+// utility: normal-like random (Box-Muller); `rng` is a [0, 1) generator such as createRng(seed)
+export function randn(rng = Math.random) {
+  let u = 0, v = 0;
+  while (u === 0) u = rng();
+  while (v === 0) v = rng();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
+
+// Updated correlation matrix based on qualitative estimates
+// Order: Liquid, Debt, Gold, Large Cap, Small/Mid Cap
+export const CORRELATION_MATRIX = [
+  // Liquid, Debt, Gold, LargeCap, SmallCap
+  [ 1,   0.4,   0.05,   0.05,    0.05 ],   // Liquid Fund
+  [ 0.4, 1,     0.15,   0.2,     0.2  ],   // Debt Fund
+  [ 0.05,0.15,  1,     -0.2,    -0.2 ],    // Gold
+  [ 0.05,0.2,  -0.2,    1,      0.9  ],    // Equity Large Cap
+  [ 0.05,0.2,  -0.2,    0.9,     1   ]     // Equity Small/Mid Cap
+];
+
+// Cholesky decomposition (lower triangular L with L * L^T = A).
+// Throws if A is not positive definite instead of quietly producing NaN.
+export function cholesky(A) {
+  const n = A.length;
+  const L = Array(n).fill().map(() => Array(n).fill(0));
+  for (let i = 0; i < n; ++i) {
+    for (let j = 0; j <= i; ++j) {
+      let sum = 0;
+      for (let k = 0; k < j; ++k) sum += L[i][k] * L[j][k];
+      if (i === j && !(A[i][i] - sum > 0)) {
+        throw new Error("Correlation matrix is not positive definite");
+      }
+      L[i][j] = i === j
+        ? Math.sqrt(A[i][i] - sum)
+        : (A[i][j] - sum) / L[j][j];
+    }
+  }
+  return L;
+}
+
+// Generate correlated random returns using Cholesky decomposition.
+// Options: `rng` (seeded generator, defaults to Math.random) and `L`, a precomputed
+// Cholesky factor so batch runs don't decompose the matrix every year.
+export function correlatedReturns(avgReturns, volatilities, correlationMatrix, { rng = Math.random, L = cholesky(correlationMatrix) } = {}) {
+  const n = avgReturns.length;
+  // Generate independent standard normals
+  const z = Array(n).fill().map(() => randn(rng));
+  // Apply Cholesky
+  const correlated = Array(n).fill(0);
+  for (let i = 0; i < n; ++i) {
+    for (let j = 0; j <= i; ++j) {
+      correlated[i] += L[i][j] * z[j];
+    }
+  }
+  // Convert to returns
+  return avgReturns.map((avg, i) => avg + correlated[i] * volatilities[i]);
+}
@@ -0,0 +1,61 @@
+// src/engine/scenarioFile.js
+// Versioned JSON file format for saving, exporting and importing scenarios:
+//   { format: "retirement-bucket-scenario", version, name, savedAt, scenario, simulation }
+// `simulation` is an in-progress simulation state (see simulation.js) or null.
+// Bump SCENARIO_FILE_VERSION when the layout changes and upgrade older files in
+// parseScenarioFile, so files saved by earlier versions keep loading.
+
+import { createScenario, validateScenario, validateState } from "./simulation.js";
+
+export const SCENARIO_FILE_FORMAT = "retirement-bucket-scenario";
+export const SCENARIO_FILE_VERSION = 1;
+
+export function toScenarioFile(name, scenario, simulation = null) {
+  return {
+    format: SCENARIO_FILE_FORMAT,
+    version: SCENARIO_FILE_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    scenario,
+    simulation
+  };
+}
+
+/**
+ * Check a scenario file (parsed object or JSON text) and return it with the
+ * scenario's missing fields filled from the defaults. Throws an Error listing
+ * every problem when the file can't be used.
+ */
+export function parseScenarioFile(input) {
+  let file = input;
+  if (typeof input === "string") {
+    try {
+      file = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`Not a valid JSON file: ${err.message}`);
+    }
+  }
+  if (!file || typeof file !== "object" || file.format !== SCENARIO_FILE_FORMAT) {
+    throw new Error("Not a scenario file (missing or wrong \"format\")");
+  }
+  if (!Number.isInteger(file.version) || file.version < 1) {
+    throw new Error("Scenario file has no valid version");
+  }
+  if (file.version > SCENARIO_FILE_VERSION) {
+    throw new Error(`Scenario file version ${file.version} was made by a newer version of this app (this one reads up to ${SCENARIO_FILE_VERSION})`);
+  }
+  if (typeof file.name !== "string" || file.name.trim() === "") {
+    throw new Error("Scenario file needs a name");
+  }
+  if (!file.scenario || typeof file.scenario !== "object") {
+    throw new Error("Scenario file has no scenario");
+  }
+
+  const scenario = createScenario(file.scenario);
+  const errors = validateScenario(scenario);
+  const simulation = file.simulation ?? null;
+  if (errors.length === 0 && simulation !== null) errors.push(...validateState(scenario, simulation));
+  if (errors.length) throw new Error(`Scenario "${file.name}" is invalid:\n${errors.join("\n")}`);
+
+  return { ...file, scenario, simulation };
+}
@@ -0,0 +1,94 @@
+// src/engine/shareLink.js
+// Compact URL-hash encoding of the basic inputs, for sharing a setup as a link:
+//
+//   #v=1&c=200&e=3&i=6&m=auto&s=12345&b=10,4,1,Liquid Funds&b=40,7,2,Debt Funds&k=0.2,0.1,...
+//
+//   v  link version (SHARE_LINK_VERSION)
+//   c  corpus, e  first-year expenses (lakh)   i  inflation (%)   m  mode   s  seed
+//   b  one per bucket: allocation, avg return, volatility, name (last, so it may contain commas)
+//   k  correlations above the diagonal, row by row (optional; default correlations without it)
+// Other settings (refill rules, tax, spending, cash flows, ...) are not carried;
+// a scenario file (see scenarioFile.js) holds the full setup.
+
+import { normalizeSeed } from "./random.js";
+import { createScenario, validateScenario } from "./simulation.js";
+
+export const SHARE_LINK_VERSION = 1;
+
+export function encodeShareLink(scenario) {
+  const params = new URLSearchParams();
+  params.set("v", String(SHARE_LINK_VERSION));
+  params.set("c", String(scenario.corpus / 100000));
+  params.set("e", String(scenario.firstYearExpenses / 100000));
+  params.set("i", String(scenario.inflation));
+  params.set("m", scenario.mode);
+  params.set("s", String(scenario.seed));
+  scenario.buckets.forEach(b => params.append("b", [b.allocation, b.avgReturn, b.volatility, b.name].join(",")));
+  const upper = scenario.correlationMatrix.flatMap((row, i) => row.slice(i + 1));
+  if (upper.length) params.set("k", upper.join(","));
+  // commas are safe in a hash; leaving them unescaped keeps the link readable
+  return params.toString().replace(/%2C/g, ",");
+}
+
+// Number from a link parameter, or NaN when missing or malformed
+function linkNumber(text) {
+  return text === null || text.trim() === "" ? NaN : Number(text);
+}
+
+/**
+ * Read a share link's hash (with or without the leading "#"). Returns
+ * { scenario } for a usable link, { error } for a broken or outdated one and
+ * {} when the hash is not a share link at all.
+ */
+export function decodeShareLink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  if (!params.has("v")) return {};
+  if (params.get("v") !== String(SHARE_LINK_VERSION)) {
+    return { error: `This link was made by a different version of the simulator (link version ${params.get("v")}, expected ${SHARE_LINK_VERSION}).` };
+  }
+
+  const errors = [];
+  const number = (key, label) => {
+    const value = linkNumber(params.get(key));
+    if (!Number.isFinite(value)) errors.push(`${label} is missing or not a number`);
+    return value;
+  };
+  const partial = {
+    corpus: number("c", "Corpus") * 100000,
+    firstYearExpenses: number("e", "First-year expenses") * 100000,
+    inflation: number("i", "Inflation"),
+    mode: params.get("m") || "auto",
+    seed: normalizeSeed(params.get("s") || "1")
+  };
+  const bucketParams = params.getAll("b");
+  if (bucketParams.length === 0) errors.push("The link has no buckets");
+  partial.buckets = bucketParams.map((text, n) => {
+    const parts = text.split(",");
+    const [allocation, avgReturn, volatility] = parts.slice(0, 3).map(linkNumber);
+    const name = parts.slice(3).join(",").trim() || `Bucket ${n + 1}`;
+    if (![allocation, avgReturn, volatility].every(Number.isFinite)) errors.push(`Bucket ${n + 1} is malformed`);
+    return { name, allocation, avgReturn, volatility };
+  });
+  if (params.has("k") && errors.length === 0) {
+    const n = partial.buckets.length;
+    const upper = params.get("k").split(",").map(linkNumber);
+    if (upper.length !== (n * (n - 1)) / 2 || !upper.every(Number.isFinite)) {
+      errors.push("Correlations don't match the buckets");
+    } else {
+      let next = 0;
+      const matrix = Array(n).fill().map(() => Array(n).fill(1));
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+          matrix[i][j] = matrix[j][i] = upper[next++];
+        }
+      }
+      partial.correlationMatrix = matrix;
+    }
+  }
+  if (errors.length) return { error: `This link is incomplete or damaged:\n${errors.join("\n")}` };
+
+  const scenario = createScenario(partial);
+  const problems = validateScenario(scenario);
+  if (problems.length) return { error: `This link's inputs can't be used:\n${problems.join("\n")}` };
+  return { scenario };
+}
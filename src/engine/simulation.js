@@ -0,0 +1,422 @@
+// src/engine/simulation.js
+// Framework-free year-by-year simulation. The React UI and the Node CLI
+// (bin/simulate.js) both drive these functions.
+//
+// A scenario describes the inputs:
+//   { corpus, firstYearExpenses, inflation, mode: "auto" | "manual", seed,
+//     buckets: [{ name, allocation, avgReturn, volatility }], correlationMatrix,
+//     refillRules (Auto mode, see refillRules.js), returnModel (see returnModels.js),
+//     tax (see tax.js), spending (see spending.js), cashFlows (see cashFlows.js),
+//     inflationModel (fixed or random inflation, see inflation.js) }
+// Amounts are in rupees, rates in %.
+//
+// A simulation state is a plain, serialisable object:
+//   { balances[], history[], year, pendingYear, depletedIn, seed, rngState, regime, lots, transferTax, transfers, priceIndex }
+// depletedIn is the first year Auto mode could not cover the expense (null until then);
+// regime is the bull/bear state of the regime-switching return model; lots is the
+// per-bucket cost basis when tax is on (null otherwise) and transferTax the tax and
+// equity LTCG exemption used by manual transfers since the last committed year, and
+// transfers those transfers ([{ year, from, to, amount, received, resolvedPending }]),
+// booked in the next committed row;
+// priceIndex is the price level at the start of the next year (1 at the start).
+// Functions never mutate their arguments; they return a new state.
+
+import { createRng, normalizeSeed } from "./random.js";
+import { cashFlowsForYear, netCashFlow, validateCashFlows } from "./cashFlows.js";
+import { defaultCorrelationMatrix } from "./buckets.js";
+import { validateCorrelationMatrix } from "./correlation.js";
+import { DEFAULT_INFLATION_MODEL, drawInflation, fixedPriceIndex, inflationLink, validateInflationModel } from "./inflation.js";
+import { CORRELATION_MATRIX, cholesky } from "./returns.js";
+import { DEFAULT_RETURN_MODEL, drawReturns, validateReturnModel } from "./returnModels.js";
+import { validateRules } from "./refillRules.js";
+import { DEFAULT_SPENDING, nextYearExpense, spendingForYear, validateSpending } from "./spending.js";
+import { DEFAULT_TAX, buyLot, grossUp, growLots, initialLots, taxOnSales, taxedAutoWithdraw, validateTax } from "./tax.js";
+import { applyReturns, withdrawalsByBucket } from "./withdrawal.js";
+
+export const DEFAULT_BUCKETS = [
+  { name: "Liquid Funds", allocation: 10, avgReturn: 4, volatility: 1 },
+  { name: "Debt Funds", allocation: 40, avgReturn: 7, volatility: 2 },
+  { name: "Commodities (Gold/Silver)", allocation: 10, avgReturn: 8, volatility: 5 },
+  { name: "Equity Large Cap", allocation: 25, avgReturn: 12, volatility: 15 },
+  { name: "Equity Small/Mid Cap", allocation: 15, avgReturn: 16, volatility: 25 }
+];
+
+export const DEFAULT_SCENARIO = {
+  corpus: 200 * 100000, // ₹200 lakh
+  firstYearExpenses: 3 * 100000, // ₹3 lakh
+  inflation: 6,
+  mode: "auto",
+  seed: 1,
+  buckets: DEFAULT_BUCKETS,
+  correlationMatrix: CORRELATION_MATRIX,
+  refillRules: [],
+  returnModel: DEFAULT_RETURN_MODEL,
+  tax: DEFAULT_TAX,
+  spending: DEFAULT_SPENDING,
+  cashFlows: [],
+  inflationModel: DEFAULT_INFLATION_MODEL
+};
+
+// Fill in defaults for anything a scenario leaves out. Custom bucket lists
+// without a correlation matrix get one of the right size.
+export function createScenario(partial = {}) {
+  const scenario = { ...DEFAULT_SCENARIO, ...partial };
+  if (!partial.correlationMatrix && Array.isArray(scenario.buckets)) {
+    scenario.correlationMatrix = defaultCorrelationMatrix(scenario.buckets.length);
+  }
+  return scenario;
+}
+
+// Returns a list of human-readable problems; empty when the scenario can be run
+export function validateScenario(scenario) {
+  const errors = [];
+  const { corpus, firstYearExpenses, inflation, mode, buckets, correlationMatrix } = scenario;
+  if (!Number.isFinite(corpus) || corpus < 0) errors.push("Corpus must be a number >= 0");
+  if (!Number.isFinite(firstYearExpenses) || firstYearExpenses < 0) errors.push("First-year expenses must be a number >= 0");
+  if (!Number.isFinite(inflation)) errors.push("Inflation must be a number");
+  if (mode !== "auto" && mode !== "manual") errors.push('Mode must be "auto" or "manual"');
+  if (!Array.isArray(buckets) || buckets.length === 0) {
+    errors.push("At least one bucket is required");
+    return errors;
+  }
+  buckets.forEach((b, i) => {
+    ["allocation", "avgReturn", "volatility"].forEach(key => {
+      if (!Number.isFinite(b[key])) errors.push(`Bucket ${i + 1} (${b.name || "unnamed"}): ${key} must be a number`);
+    });
+  });
+  const allocationSum = buckets.reduce((s, b) => s + Number(b.allocation || 0), 0);
+  if (Math.round(allocationSum) !== 100) errors.push("Allocation % across buckets must total exactly 100");
+  errors.push(...validateCorrelationMatrix(correlationMatrix, buckets.length));
+  if (!Array.isArray(scenario.refillRules)) errors.push("Refill rules must be a list");
+  else errors.push(...validateRules(scenario.refillRules, buckets.length));
+  errors.push(...validateReturnModel(scenario.returnModel, buckets));
+  errors.push(...validateTax(scenario.tax, buckets));
+  errors.push(...validateSpending(scenario.spending));
+  errors.push(...validateCashFlows(scenario.cashFlows));
+  errors.push(...validateInflationModel(scenario.inflationModel, buckets, correlationMatrix));
+  return errors;
+}
+
+// Initial state: corpus split by allocation, no history yet
+export function startSimulation(scenario) {
+  const seed = normalizeSeed(scenario.seed);
+  const balances = scenario.buckets.map(b => (scenario.corpus * (b.allocation / 100)));
+  return {
+    balances,
+    history: [],
+    year: 0,
+    pendingYear: null,
+    depletedIn: null,
+    seed,
+    rngState: seed,
+    regime: null,
+    lots: scenario.tax && scenario.tax.enabled ? initialLots(balances) : null,
+    transferTax: NO_TRANSFER_TAX,
+    transfers: [],
+    priceIndex: 1
+  };
+}
+
+const NO_TRANSFER_TAX = { tax: 0, exemptionUsed: 0 };
+
+const isNumber = v => Number.isFinite(v);
+const isNumberList = (list, n) => Array.isArray(list) && list.length === n && list.every(isNumber);
+
+// Problems with a saved simulation state for this scenario (e.g. from an imported file); empty when usable
+export function validateState(scenario, state) {
+  const n = scenario.buckets.length;
+  if (!state || typeof state !== "object") return ["Simulation state must be an object"];
+  const errors = [];
+  if (!isNumberList(state.balances, n)) errors.push(`Simulation balances must be ${n} numbers`);
+  if (!Number.isInteger(state.year) || state.year < 0) errors.push("Simulation year must be a whole number >= 0");
+  if (!Number.isInteger(state.seed) || !Number.isInteger(state.rngState)) errors.push("Simulation seed and random state must be whole numbers");
+  if (state.depletedIn !== null && !Number.isInteger(state.depletedIn)) errors.push("Depletion year must be a whole number or null");
+  if (state.regime !== null && state.regime !== "bull" && state.regime !== "bear") errors.push('Market regime must be "bull", "bear" or null');
+  if (!(state.priceIndex > 0)) errors.push("Price index must be a number > 0");
+  if (!state.transferTax || !isNumber(state.transferTax.tax) || !isNumber(state.transferTax.exemptionUsed)) errors.push("Transfer tax must have numeric tax and exemptionUsed");
+  if (!Array.isArray(state.transfers)) errors.push("Transfers since the last year must be a list");
+  const lotsOk = lots => lots === null || (Array.isArray(lots) && lots.length === n && lots.every(bucketLots =>
+    Array.isArray(bucketLots) && bucketLots.every(lot => lot && isNumber(lot.year) && isNumber(lot.cost) && isNumber(lot.value))));
+  if (!lotsOk(state.lots)) errors.push(`Cost-basis lots must be null or ${n} lists of { year, cost, value }`);
+  if (!Array.isArray(state.history)) {
+    errors.push("Simulation history must be a list");
+  } else {
+    state.history.forEach((row, i) => {
+      const ok = row && Number.isInteger(row.year) && isNumberList(row.returnsPct, n) && isNumberList(row.returnsAmt, n)
+        && isNumberList(row.endValues, n) && isNumberList(row.withdrawals, n) && [row.total, row.taxPaid, row.expense, row.inflation, row.priceIndex].every(isNumber)
+        && Array.isArray(row.ruleEvents) && Array.isArray(row.cashFlows) && Array.isArray(row.transfers);
+      if (!ok) errors.push(`History row ${i + 1} is malformed`);
+    });
+    const lastYear = state.history.length ? state.history[state.history.length - 1].year : 0;
+    if (errors.length === 0 && lastYear !== state.year) errors.push("Simulation year does not match its history");
+  }
+  const p = state.pendingYear;
+  if (p !== null) {
+    const ok = p && p.year === state.year + 1 && isNumberList(p.returnsPct, n) && isNumberList(p.returnAmounts, n)
+      && isNumberList(p.balancesBeforeWithdrawal, n)
+      && [p.expenseThisYear, p.toWithdraw, p.shortfall, p.inflation, p.priceIndex].every(isNumber)
+      && Array.isArray(p.cashFlows) && lotsOk(p.lots);
+    if (!ok) errors.push("Pending year is malformed");
+  }
+  return errors;
+}
+
+// Row stored in `history`. Note: we store returnAmounts (absolute) and endValues (numbers).
+// ruleEvents lists the Auto-mode refill rules that fired that year; regime is the
+// bull/bear state returns were drawn from (null for other return models); taxPaid is
+// the capital-gains tax on that year's sales and transfers; expense is what was spent and
+// cashFlows the scheduled items that year ({ name, amount }, inflows positive); inflation is
+// the year's realised inflation (%) and priceIndex the price level at its end.
+export function historyRow(yearIndex, returnAmounts, endBalances, { returnsPct = [], withdrawals = endBalances.map(() => 0), ruleEvents = [], regime = null, taxPaid = 0, expense = 0, cashFlows = [], transfers = [], inflation = 0, priceIndex = 1 } = {}) {
+  return {
+    year: yearIndex,
+    returnsPct, // each bucket's return this year (%)
+    returnsAmt: returnAmounts.map(r => Number(r)), // absolute rupee amounts
+    endValues: endBalances.map(v => Number(v)),
+    withdrawals, // paid out of each bucket for the expense and its tax (see withdrawalsByBucket)
+    total: endBalances.reduce((s, v) => s + v, 0),
+    ruleEvents,
+    regime,
+    taxPaid,
+    expense,
+    cashFlows,
+    transfers,
+    inflation,
+    priceIndex
+  };
+}
+
+// This year's expense under the scenario's spending rule (year = completed years so far)
+export function expenseForState(scenario, state) {
+  const last = state.history[state.history.length - 1];
+  return spendingForYear(scenario.spending, {
+    year: state.year,
+    corpus: scenario.corpus,
+    firstYearExpenses: scenario.firstYearExpenses,
+    priceIndex: state.priceIndex,
+    portfolio: state.balances.reduce((s, v) => s + v, 0),
+    previous: last ? { expense: last.expense, returnAmount: last.returnsAmt.reduce((s, v) => s + v, 0), inflation: last.inflation } : null
+  });
+}
+
+// Manual mode pays the expense from Bucket 1 alone; with tax on, enough more is sold
+// to cover the tax on that sale. Returns { gross, tax, lots, exemptionUsed }.
+function manualWithdrawal(scenario, lots, balances, expense, year, exemptionUsed) {
+  if (!lots) return { gross: expense, tax: 0, lots, exemptionUsed };
+  const sell = amount => taxOnSales(scenario.tax, scenario.buckets, lots,
+    balances.map((b, i) => (i === 0 ? Math.min(amount, b) : 0)), year, exemptionUsed);
+  const gross = grossUp(expense, amount => sell(amount).tax);
+  return { gross, ...sell(gross) };
+}
+
+// Per-bucket withdrawals when Bucket 1 alone paid `gross`
+const fromFirstBucket = (gross, n) => Array.from({ length: n }, (_, i) => (i === 0 ? gross : 0));
+
+// Next year step (single year) — does returns then withdrawal.
+// In manual mode a Bucket 1 shortfall leaves the year uncommitted in `pendingYear`
+// until transfers cover it. Pass `returnsPct` to replay known returns (e.g. historical
+// data) instead of drawing random ones; replayed years use the fixed inflation rate.
+// Pass `shock` ({ returnsPct: [% or null per bucket], inflation: % or null }) to force
+// some of this year's values after the usual draw, so later years draw as they would have.
+export function stepYear(scenario, state, { returnsPct: givenReturns, shock } = {}) {
+  if (!state.balances || state.balances.length === 0) {
+    throw new Error("Start simulation first (Start button in Inputs tab).");
+  }
+  if (state.pendingYear) {
+    throw new Error("You have a pending transfer requirement. Fix transfers before advancing.");
+  }
+
+  const { year, balances } = state;
+  const nextYearIndex = year + 1;
+  const expenseThisYear = expenseForState(scenario, state); // year=0 => first year's expense
+
+  // Use correlated returns from the selected return model
+  let returnsPct = givenReturns;
+  let rngState = state.rngState;
+  let regime = null;
+  let inflation = scenario.inflation;
+  if (!returnsPct) {
+    const rng = createRng(state.rngState);
+    const L = cholesky(scenario.correlationMatrix);
+    let z;
+    ({ returnsPct, regime, z } = drawReturns(scenario.buckets, scenario.correlationMatrix, scenario.returnModel, { rng, L, regime: state.regime }));
+    if (scenario.inflationModel.stochastic) {
+      const link = inflationLink(scenario.buckets, scenario.correlationMatrix, scenario.inflationModel, L);
+      inflation = drawInflation(scenario.inflation, scenario.inflationModel, { z, L, link, rng });
+    }
+    rngState = rng.getState();
+  }
+  if (shock) {
+    returnsPct = returnsPct.map((r, i) => (shock.returnsPct[i] ?? r));
+    if (shock.inflation !== null && shock.inflation !== undefined) inflation = shock.inflation;
+  }
+  // a shocked year moves prices off the fixed path, so keep compounding from there
+  const priceIndex = scenario.inflationModel.stochastic || inflation !== scenario.inflation || state.priceIndex !== fixedPriceIndex(scenario.inflation, year)
+    ? state.priceIndex * (1 + inflation / 100)
+    : fixedPriceIndex(scenario.inflation, nextYearIndex);
+
+  // 1) compute return amounts and apply returns
+  const { newBalances, returnAmounts } = applyReturns(balances, returnsPct);
+  let lots = state.lots && growLots(state.lots, balances, newBalances);
+  const { exemptionUsed } = state.transferTax;
+
+  // scheduled cash flows: inflows pay towards the expense, any surplus goes into Bucket 1
+  const cashFlows = cashFlowsForYear(scenario.cashFlows, nextYearIndex);
+  const net = netCashFlow(cashFlows);
+  const toWithdraw = Math.max(0, expenseThisYear - net);
+  if (net > expenseThisYear) {
+    newBalances[0] += net - expenseThisYear;
+    lots = lots && buyLot(lots, 0, net - expenseThisYear, nextYearIndex);
+  }
+
+  // 2) withdrawal logic
+  if (scenario.mode === "manual") {
+    // Manual mode: only withdraw from Bucket 1, require transfer if insufficient
+    const withdrawal = manualWithdrawal(scenario, lots, newBalances, toWithdraw, nextYearIndex, exemptionUsed);
+    if (newBalances[0] >= withdrawal.gross) {
+      newBalances[0] -= withdrawal.gross;
+      return { ...commitYear(state, nextYearIndex, returnAmounts, newBalances, rngState, { returnsPct, withdrawals: fromFirstBucket(withdrawal.gross, newBalances.length), regime, lots: withdrawal.lots, taxPaid: withdrawal.tax, expense: expenseThisYear, cashFlows, inflation, priceIndex }), regime };
+    }
+    // Bucket1 insufficient
+    return {
+      ...state,
+      rngState,
+      regime,
+      pendingYear: {
+        year: nextYearIndex,
+        returnsPct,
+        returnAmounts,
+        balancesBeforeWithdrawal: [...newBalances],
+        expenseThisYear,
+        cashFlows,
+        toWithdraw,
+        shortfall: withdrawal.gross - newBalances[0],
+        regime,
+        lots,
+        inflation,
+        priceIndex
+      }
+    };
+  }
+
+  // Auto mode: pay the expense, then refill buckets by rule (plain waterfall when there are none)
+  // (selling extra to pay capital-gains tax when tax is on)
+  const { balances: autoBalances, depleted, events, lots: autoLots, tax } = taxedAutoWithdraw(newBalances, toWithdraw, {
+    rules: scenario.refillRules,
+    returnsPct,
+    nextExpense: nextYearExpense(scenario.spending, expenseThisYear, { firstYearExpenses: scenario.firstYearExpenses, inflation, nextPriceIndex: priceIndex })
+  }, { tax: lots && scenario.tax, buckets: scenario.buckets, lots, year: nextYearIndex, exemptionUsed });
+  // a depleted corpus only covered what was left of it
+  const expense = depleted ? Math.min(expenseThisYear, newBalances.reduce((s, v) => s + v, 0) + Math.max(0, net)) : expenseThisYear;
+  const next = { ...commitYear(state, nextYearIndex, returnAmounts, autoBalances, rngState, { returnsPct, withdrawals: withdrawalsByBucket(newBalances, autoBalances, events), ruleEvents: events, regime, lots: autoLots, taxPaid: tax, expense, cashFlows, inflation, priceIndex }), regime };
+  return depleted && !state.depletedIn ? { ...next, depletedIn: nextYearIndex } : next;
+}
+
+// Manual transfers made since the last committed year (and their tax) are booked in this year's row
+function commitYear(state, yearIndex, returnAmounts, endBalances, rngState, { lots = state.lots, taxPaid = 0, ...details } = {}) {
+  const row = historyRow(yearIndex, returnAmounts, endBalances, { ...details, taxPaid: taxPaid + state.transferTax.tax, transfers: state.transfers });
+  return {
+    ...state,
+    balances: endBalances,
+    // Remove any existing row for this year before adding the new one
+    history: [...state.history.filter(r => r.year !== yearIndex), row],
+    year: yearIndex,
+    pendingYear: null,
+    rngState,
+    lots,
+    transferTax: NO_TRANSFER_TAX,
+    transfers: [],
+    priceIndex: row.priceIndex
+  };
+}
+
+// Move `amount` rupees between buckets — allowed any time (both in pending state or normal).
+// If a pending year's Bucket 1 shortfall is covered by the move, the year is committed.
+// With tax on, `amount` is sold from the source and the destination receives it less tax.
+export function transferFunds(scenario, state, from, to, amount) {
+  const { balances, pendingYear } = state;
+  if (from === to) {
+    throw new Error("Choose different source and destination buckets.");
+  }
+  if (!balances || balances.length === 0) {
+    throw new Error("No balances available. Start simulation first.");
+  }
+  if (!(amount > 0)) {
+    throw new Error("Transfer amount must be > 0");
+  }
+  if (balances[from] < amount) {
+    throw new Error("Not enough balance in chosen source bucket.");
+  }
+
+  // tax on the sale; a pending year's transfers happen after that year's returns
+  const year = pendingYear ? pendingYear.year : state.year;
+  let lots = pendingYear ? pendingYear.lots : state.lots;
+  let transferTax = state.transferTax;
+  let received = amount;
+  if (lots) {
+    const sale = taxOnSales(scenario.tax, scenario.buckets, lots, balances.map((_, i) => (i === from ? amount : 0)), year, transferTax.exemptionUsed);
+    received = amount - sale.tax;
+    lots = buyLot(sale.lots, to, received, year);
+    transferTax = { tax: transferTax.tax + sale.tax, exemptionUsed: sale.exemptionUsed };
+  }
+
+  // booked in the row of the year it falls in: the pending year, else the next one
+  const transfer = { year: pendingYear ? pendingYear.year : state.year + 1, from, to, amount, received, resolvedPending: false };
+  const transfers = [...state.transfers, transfer];
+
+  // apply transfer
+  const newBalances = [...balances];
+  newBalances[from] -= amount;
+  newBalances[to] += received;
+
+  // when no pendingYear, transfers apply immediately and history does not change retroactively.
+  if (!pendingYear) {
+    return { ...state, balances: newBalances, lots, transferTax, transfers };
+  }
+
+  // we had a pendingYear waiting for funds to cover expense, check if resolved:
+  const pb = [...pendingYear.balancesBeforeWithdrawal]; // balances after returns but before withdrawal (snapshot)
+  pb[from] -= amount;
+  pb[to] += received;
+  const withdrawal = manualWithdrawal(scenario, lots, pb, pendingYear.toWithdraw, year, transferTax.exemptionUsed);
+  if (pb[0] >= withdrawal.gross) {
+    pb[0] -= withdrawal.gross;
+    const resolved = [...state.transfers, { ...transfer, resolvedPending: true }];
+    return commitYear({ ...state, transferTax, transfers: resolved }, pendingYear.year, pendingYear.returnAmounts, pb, state.rngState, {
+      returnsPct: pendingYear.returnsPct,
+      withdrawals: fromFirstBucket(withdrawal.gross, pb.length),
+      regime: pendingYear.regime,
+      lots: withdrawal.lots,
+      taxPaid: withdrawal.tax,
+      expense: pendingYear.expenseThisYear,
+      cashFlows: pendingYear.cashFlows,
+      inflation: pendingYear.inflation,
+      priceIndex: pendingYear.priceIndex
+    });
+  }
+  return {
+    ...state,
+    balances: newBalances,
+    transferTax,
+    transfers,
+    pendingYear: {
+      ...pendingYear,
+      balancesBeforeWithdrawal: pb,
+      shortfall: withdrawal.gross - pb[0],
+      lots
+    }
+  };
+}
+
+// Headless run: step `years` times. Stops early (with `stoppedAt` set) when a
+// manual-mode year needs a transfer, since nobody is there to make it.
+export function runSimulation(scenario, years) {
+  let state = startSimulation(scenario);
+  for (let i = 0; i < years; i++) {
+    state = stepYear(scenario, state);
+    if (state.pendingYear) {
+      return { ...state, stoppedAt: state.pendingYear.year };
+    }
+  }
+  return { ...state, stoppedAt: null };
+}
@@ -0,0 +1,20 @@
+// src/engine/simulationWorker.js
+// Web Worker entry: runs one batch task (src/engine/batchTasks.js) off the page's
+// main thread.
+//
+// In:  { task, args }
+// Out: { type: "progress", progress } any number of times, then
+//      { type: "result", result } or { type: "error", message }.
+// Cancelling is terminating the worker.
+
+import { runBatchTask } from "./batchTasks.js";
+
+self.onmessage = (event) => {
+  const { task, args } = event.data;
+  try {
+    const result = runBatchTask(task, args, progress => self.postMessage({ type: "progress", progress }));
+    self.postMessage({ type: "result", result });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,104 @@
+// src/engine/spending.js
+// Spending rules: how much to withdraw each year.
+//
+// scenario.spending = { type, rate, guardrail, adjustment, horizon, realReturn, floor, ceiling }
+//   constant      — firstYearExpenses grown by inflation every year, whatever the markets do
+//   percent       — `rate`% of the portfolio at the start of each year
+//   guytonKlinger — inflation-adjusted like constant, but no raise after a losing year while
+//                   above the starting withdrawal rate; cut by `adjustment`% when the rate is
+//                   more than `guardrail`% above the starting rate, raised by `adjustment`% when
+//                   it is more than `guardrail`% below
+//   vpw           — variable percentage withdrawal: the annuity payment that would spend the
+//                   portfolio over the `horizon` years left at `realReturn`% a year
+//   floorCeiling  — `rate`% of the portfolio, kept between `floor`% and `ceiling`% of the
+//                   inflation-adjusted first-year expense
+// "Inflation-adjusted" follows the realised price index, so it works with random inflation.
+
+export const SPENDING_RULES = {
+  constant: "Constant (inflation-adjusted)",
+  percent: "Fixed % of portfolio",
+  guytonKlinger: "Guyton-Klinger guardrails",
+  vpw: "Variable percentage withdrawal (VPW)",
+  floorCeiling: "% of portfolio with floor and ceiling"
+};
+
+export const DEFAULT_SPENDING = {
+  type: "constant",
+  rate: 4,
+  guardrail: 20,
+  adjustment: 10,
+  horizon: 40,
+  realReturn: 4,
+  floor: 90,
+  ceiling: 125
+};
+
+export function validateSpending(spending) {
+  if (!spending || !SPENDING_RULES[spending.type]) {
+    return [`Spending rule must be one of: ${Object.keys(SPENDING_RULES).join(", ")}`];
+  }
+  const errors = [];
+  const { type } = spending;
+  if ((type === "percent" || type === "floorCeiling") && !(spending.rate >= 0 && spending.rate <= 100)) {
+    errors.push("Withdrawal rate must be between 0 and 100%");
+  }
+  if (type === "guytonKlinger") {
+    if (!(spending.guardrail >= 0)) errors.push("Guardrail must be >= 0%");
+    if (!(spending.adjustment >= 0 && spending.adjustment <= 100)) errors.push("Guardrail adjustment must be between 0 and 100%");
+  }
+  if (type === "vpw") {
+    if (!(spending.horizon >= 1)) errors.push("VPW horizon must be at least 1 year");
+    if (!(spending.realReturn > -100)) errors.push("VPW expected real return must be above -100%");
+  }
+  if (type === "floorCeiling" && !(spending.floor >= 0 && spending.ceiling >= spending.floor)) {
+    errors.push("Spending floor must be >= 0% and no higher than the ceiling");
+  }
+  return errors;
+}
+
+// Share of the portfolio VPW withdraws with `yearsLeft` years to go
+function vpwRate(realReturnPct, yearsLeft) {
+  const r = realReturnPct / 100;
+  if (yearsLeft <= 1) return 1;
+  if (r === 0) return 1 / yearsLeft;
+  return r / (1 - Math.pow(1 + r, -yearsLeft));
+}
+
+/**
+ * Expense for the year starting after `year` completed years.
+ * `priceIndex` is the price level at the start of that year (1 in the first year),
+ * `portfolio` the total corpus then; `previous` is { expense, returnAmount, inflation }
+ * of the year before (null in the first year).
+ */
+export function spendingForYear(spending, { year, corpus, firstYearExpenses, priceIndex, portfolio, previous }) {
+  const indexed = firstYearExpenses * priceIndex;
+  switch (spending.type) {
+    case "percent":
+      return portfolio * spending.rate / 100;
+    case "floorCeiling":
+      return Math.min(indexed * spending.ceiling / 100, Math.max(indexed * spending.floor / 100, portfolio * spending.rate / 100));
+    case "vpw":
+      return portfolio * vpwRate(spending.realReturn, spending.horizon - year);
+    case "guytonKlinger": {
+      if (!previous) return firstYearExpenses;
+      if (!(portfolio > 0)) return 0;
+      const initialRate = corpus > 0 ? firstYearExpenses / corpus : 0;
+      const frozen = previous.returnAmount < 0 && previous.expense / portfolio > initialRate;
+      const expense = frozen ? previous.expense : previous.expense * (1 + previous.inflation / 100);
+      const rate = expense / portfolio;
+      if (rate > initialRate * (1 + spending.guardrail / 100)) return expense * (1 - spending.adjustment / 100);
+      if (rate < initialRate * (1 - spending.guardrail / 100)) return expense * (1 + spending.adjustment / 100);
+      return expense;
+    }
+    default:
+      return indexed;
+  }
+}
+
+// Next year's expense as refill rules plan for it: exact for constant spending,
+// otherwise this year's expense plus this year's inflation
+export function nextYearExpense(spending, expense, { firstYearExpenses, inflation, nextPriceIndex }) {
+  return spending.type === "constant"
+    ? firstYearExpenses * nextPriceIndex
+    : expense * (1 + inflation / 100);
+}
@@ -0,0 +1,86 @@
+// src/engine/stressTests.js
+// Sequence-of-returns stress tests: force bad years into a run and compare it with
+// the same run unstressed.
+//
+// A stress test is { label, startYear, years: [...] } applied to history years
+// startYear, startYear + 1, ... Each entry of `years` forces that year's returns (%)
+// either by asset class ({ equity, debt, gold, liquid }) or per bucket
+// ({ returnsPct: [% or null per bucket] }), and optionally its `inflation` (%).
+// Anything left null is drawn as usual. Every year is still drawn, so the years
+// after a shock see the same random returns as the unstressed run.
+
+import { guessAssetClass } from "./assetClasses.js";
+import { summarizeRun } from "./compare.js";
+import { startSimulation, stepYear, validateScenario } from "./simulation.js";
+
+export const STRESS_PRESETS = {
+  crash2008: {
+    label: "2008-style crash: equity −50% in one year",
+    years: [{ equity: -50, debt: 8, gold: 25, liquid: 8 }]
+  },
+  debtSelloff2013: {
+    label: "2013 debt sell-off: bonds and gold fall, 10% inflation",
+    years: [{ equity: 0, debt: -5, gold: -10, liquid: 8, inflation: 10 }]
+  },
+  stagflation: {
+    label: "Stagflation decade: flat markets, 9% inflation for 10 years",
+    years: Array(10).fill({ equity: 2, debt: 4, gold: 10, liquid: 5, inflation: 9 })
+  }
+};
+
+// A preset as a stress test starting in `startYear`
+export function presetStressTest(key, startYear = 1) {
+  return { ...STRESS_PRESETS[key], startYear };
+}
+
+export function validateStressTest(test, buckets) {
+  const errors = [];
+  const where = test.label || "Stress test";
+  if (!Number.isInteger(test.startYear) || test.startYear < 1) errors.push(`${where}: start year must be a whole number >= 1`);
+  if (!Array.isArray(test.years) || test.years.length === 0) errors.push(`${where}: needs at least one year`);
+  (test.years || []).forEach((y, n) => {
+    const values = y.returnsPct ? y.returnsPct : ["equity", "debt", "gold", "liquid"].map(k => y[k]);
+    if (y.returnsPct && y.returnsPct.length !== buckets.length) errors.push(`${where}, year ${n + 1}: needs a return (or blank) for each bucket`);
+    if ([...values, y.inflation].some(v => v !== null && v !== undefined && !(Number.isFinite(v) && v >= -100))) {
+      errors.push(`${where}, year ${n + 1}: returns and inflation must be numbers >= -100`);
+    }
+  });
+  return errors;
+}
+
+// Shocks keyed by history year, in the form stepYear takes
+export function shocksByYear(test, buckets) {
+  const shocks = new Map();
+  test.years.forEach((y, n) => {
+    const returnsPct = y.returnsPct || buckets.map(b => y[guessAssetClass(b.name)] ?? null);
+    shocks.set(test.startYear + n, { returnsPct, inflation: y.inflation ?? null });
+  });
+  return shocks;
+}
+
+function runWithShocks(scenario, years, shocks) {
+  let state = startSimulation(scenario);
+  for (let y = 1; y <= years; y++) {
+    state = stepYear(scenario, state, { shock: shocks.get(y) });
+  }
+  return state;
+}
+
+/**
+ * Run the scenario (Auto mode) for `years` years unstressed and once per test.
+ * Returns { base, tests } where base and each test are
+ * { label, history, finalCorpus, minCorpus, totalWithdrawn, depletedIn }.
+ * Throws when the scenario or a test is invalid.
+ */
+export function runStressTests(scenario, tests, years) {
+  const runScenario = { ...scenario, mode: "auto" };
+  const errors = [...validateScenario(runScenario), ...tests.flatMap(t => validateStressTest(t, scenario.buckets))];
+  if (tests.length === 0) errors.push("Choose at least one stress test");
+  if (errors.length) throw new Error(errors.join("\n"));
+
+  const summarize = (label, state) => ({ label, history: state.history, ...summarizeRun(state.history, state.depletedIn) });
+  return {
+    base: summarize("Unstressed", runWithShocks(runScenario, years, new Map())),
+    tests: tests.map(t => summarize(t.label, runWithShocks(runScenario, years, shocksByYear(t, scenario.buckets))))
+  };
+}
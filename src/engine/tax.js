@@ -0,0 +1,169 @@
+// src/engine/tax.js
+// Indian capital-gains tax on sales from buckets, with per-bucket cost basis.
+//
+// scenario.tax = { enabled, slabRate, ltcgRate, stcgRate, exemption, goldLongTermYears, cess }
+// Each bucket is taxed by its class (bucket.taxClass, else guessed from its name):
+//   equity — long-term after 1 year at ltcgRate above the yearly `exemption`, else stcgRate
+//   gold   — long-term after goldLongTermYears at ltcgRate, else slab rate
+//   debt, liquid — gains taxed at the slab rate whatever the holding period
+//   exempt — no tax
+// Gains and losses are netted within each of those categories for the year; losses
+// are not carried forward. Cess is added on top of the tax.
+//
+// Cost basis is tracked as lots per bucket: lots[i] = [{ year, cost, value }], where
+// `year` is the simulation year the money went in. Sales take the oldest lots first.
+
+import { guessAssetClass } from "./assetClasses.js";
+import { autoWithdraw } from "./refillRules.js";
+
+export const TAX_CLASSES = {
+  equity: "Equity (LTCG / STCG)",
+  debt: "Debt fund (slab rate)",
+  gold: "Gold / commodities",
+  liquid: "Liquid fund (slab rate)",
+  exempt: "Tax-free"
+};
+
+export const DEFAULT_TAX = {
+  enabled: false,
+  slabRate: 30,
+  ltcgRate: 12.5,
+  stcgRate: 20,
+  exemption: 125000, // ₹1.25 lakh of equity LTCG per year
+  goldLongTermYears: 2,
+  cess: 4
+};
+
+export function bucketTaxClass(bucket) {
+  return bucket.taxClass || guessAssetClass(bucket.name);
+}
+
+export function validateTax(tax, buckets) {
+  if (!tax) return ["Tax settings are missing"];
+  if (typeof tax !== "object" || Array.isArray(tax)) return ["Tax settings must be an object"];
+  if (typeof tax.enabled !== "boolean") return ["Tax settings need \"enabled\" set to true or false"];
+  if (!tax.enabled) return [];
+  const errors = [];
+  [["slabRate", "Slab rate"], ["ltcgRate", "LTCG rate"], ["stcgRate", "STCG rate"], ["cess", "Cess"]].forEach(([key, label]) => {
+    if (!(tax[key] >= 0 && tax[key] <= 100)) errors.push(`${label} must be between 0 and 100%`);
+  });
+  if (!(tax.exemption >= 0)) errors.push("LTCG exemption must be a number >= 0");
+  if (!(tax.goldLongTermYears >= 0)) errors.push("Gold long-term holding period must be >= 0 years");
+  buckets.forEach((b, i) => {
+    if (!TAX_CLASSES[bucketTaxClass(b)]) errors.push(`Bucket ${i + 1} (${b.name}): unknown tax class "${b.taxClass}"`);
+  });
+  return errors;
+}
+
+// Opening lots: everything bought at year 0 at its current value
+export function initialLots(balances) {
+  return balances.map(b => (b > 0 ? [{ year: 0, cost: b, value: b }] : []));
+}
+
+// Lots after each bucket's value moved from `before` to `after` (returns)
+export function growLots(lots, before, after) {
+  return lots.map((bucketLots, i) => {
+    if (!(after[i] > 0) || !(before[i] > 0)) return [];
+    const factor = after[i] / before[i];
+    return bucketLots.map(lot => ({ ...lot, value: lot.value * factor }));
+  });
+}
+
+// Sell `amount` from one bucket's lots, oldest first. Returns the remaining lots and
+// the realised gain of each lot touched with its holding period.
+function sellLots(bucketLots, amount, year) {
+  const remaining = [];
+  const sales = [];
+  let left = amount;
+  for (const lot of bucketLots) {
+    if (left <= 0 || lot.value <= 0) {
+      remaining.push(lot);
+      continue;
+    }
+    const take = Math.min(lot.value, left);
+    const share = take / lot.value;
+    sales.push({ years: year - lot.year, gain: take - lot.cost * share });
+    left -= take;
+    if (take < lot.value) remaining.push({ ...lot, cost: lot.cost * (1 - share), value: lot.value - take });
+  }
+  return { lots: remaining, sales };
+}
+
+/**
+ * Tax on one round of sales. `sold[i]` is the amount sold from bucket i in `year`;
+ * `exemptionUsed` is equity LTCG already exempted this year.
+ * Returns { tax, exemptionUsed, lots } with lots after the sales.
+ */
+export function taxOnSales(tax, buckets, lots, sold, year, exemptionUsed = 0) {
+  const gains = { ltcg: 0, stcg: 0, goldLtcg: 0, slab: 0 };
+  const nextLots = lots.map((bucketLots, i) => {
+    if (!(sold[i] > 0)) return bucketLots;
+    const { lots: left, sales } = sellLots(bucketLots, sold[i], year);
+    const taxClass = bucketTaxClass(buckets[i]);
+    sales.forEach(({ years, gain }) => {
+      if (taxClass === "equity") gains[years >= 1 ? "ltcg" : "stcg"] += gain;
+      else if (taxClass === "gold") gains[years >= tax.goldLongTermYears ? "goldLtcg" : "slab"] += gain;
+      else if (taxClass !== "exempt") gains.slab += gain;
+    });
+    return left;
+  });
+
+  const ltcg = Math.max(0, gains.ltcg);
+  const exempted = Math.min(ltcg, Math.max(0, tax.exemption - exemptionUsed));
+  const baseTax = ((ltcg - exempted) * tax.ltcgRate
+    + Math.max(0, gains.stcg) * tax.stcgRate
+    + Math.max(0, gains.goldLtcg) * tax.ltcgRate
+    + Math.max(0, gains.slab) * tax.slabRate) / 100;
+  return { tax: baseTax * (1 + tax.cess / 100), exemptionUsed: exemptionUsed + exempted, lots: nextLots };
+}
+
+// Lots after money is added to bucket `i` in `year`
+export function buyLot(lots, i, amount, year) {
+  if (!(amount > 0)) return lots;
+  return lots.map((bucketLots, j) => (j === i ? [...bucketLots, { year, cost: amount, value: amount }] : bucketLots));
+}
+
+// Settle a change of balances from `before` to `after`: decreases are sales (taxed),
+// increases are purchases at cost. Sales are each bucket's net decrease.
+export function settleBalances(tax, buckets, lots, before, after, year, exemptionUsed = 0) {
+  const sold = before.map((b, i) => Math.max(0, b - after[i]));
+  const result = taxOnSales(tax, buckets, lots, sold, year, exemptionUsed);
+  let nextLots = result.lots;
+  after.forEach((a, i) => {
+    nextLots = buyLot(nextLots, i, a - before[i], year);
+  });
+  return { ...result, lots: nextLots };
+}
+
+// Fixed point of gross = expense + taxFor(gross): how much to sell so `expense` is left after tax
+export function grossUp(expense, taxFor) {
+  let gross = expense;
+  for (let i = 0; i < 50; i++) {
+    const next = expense + taxFor(gross);
+    if (Math.abs(next - gross) < 0.01) return next;
+    gross = next;
+  }
+  return gross;
+}
+
+/**
+ * Auto-mode withdrawal with tax: sells enough extra to pay the tax on the year's sales
+ * (including refill moves) so `expense` is left to spend. Without tax it is autoWithdraw.
+ * Returns autoWithdraw's { balances, depleted, events } plus { lots, tax, exemptionUsed }.
+ */
+export function taxedAutoWithdraw(balances, expense, options, { tax, buckets, lots, year, exemptionUsed = 0 }) {
+  if (!tax || !tax.enabled) {
+    return { ...autoWithdraw(balances, expense, options), lots, tax: 0, exemptionUsed };
+  }
+  const attempt = gross => {
+    const result = autoWithdraw(balances, gross, options);
+    return { ...result, ...settleBalances(tax, buckets, lots, balances, result.balances, year, exemptionUsed) };
+  };
+  const gross = grossUp(expense, g => {
+    const result = attempt(g);
+    return result.depleted ? 0 : result.tax;
+  });
+  const result = attempt(gross);
+  // a depleted corpus is written off, not sold, so no tax is due
+  return result.depleted ? { ...result, tax: 0, lots: result.balances.map(() => []) } : result;
+}
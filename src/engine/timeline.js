@@ -0,0 +1,34 @@
+// src/engine/timeline.js
+// Undo and rewind for the interactive simulation.
+//
+// The UI keeps `past`: every simulation state it replaced, oldest first. States
+// are immutable and share their history rows, so a snapshot per step is cheap,
+// and a snapshot lies on the current path exactly when its rows are the current
+// state's rows. Rewinding keeps the saved random-number state, so the years that
+// follow draw the same returns as before unless the branch is reseeded.
+
+import { normalizeSeed } from "./random.js";
+
+export const MAX_SNAPSHOTS = 500;
+
+// `past` with `state` added, dropping the oldest snapshots past MAX_SNAPSHOTS
+export function pushSnapshot(past, state) {
+  const next = [...past, state];
+  return next.length > MAX_SNAPSHOTS ? next.slice(next.length - MAX_SNAPSHOTS) : next;
+}
+
+/**
+ * The state right after `year` was completed on `current`'s path (before any
+ * transfers made after it), or null when no snapshot goes back that far.
+ * Year 0 is the start of the simulation.
+ */
+export function snapshotAtYear(past, current, year) {
+  if (year > current.year) return null;
+  const onPath = s => s.year === year && !s.pendingYear && (year === 0 || s.history[year - 1] === current.history[year - 1]);
+  return [...past, current].find(onPath) || null;
+}
+
+// `state` with a new random stream, so the years after it draw fresh returns
+export function reseedState(state, seed) {
+  return { ...state, rngState: normalizeSeed(seed) };
+}
@@ -0,0 +1,44 @@
+// src/engine/withdrawal.js
+// Yearly balance updates shared by the step-by-step simulation and batch runs.
+
+// Apply percentage returns to balances; returns new balances and the rupee change per bucket.
+export function applyReturns(balances, returnsPct) {
+  const newBalances = balances.map((bal, i) => {
+    const pct = returnsPct[i] / 100;
+    const gain = bal * pct;
+    return Math.max(0, bal + gain); // avoid negative due to numerical issues
+  });
+  const returnAmounts = newBalances.map((newBal, i) => (newBal - balances[i]));
+  return { newBalances, returnAmounts };
+}
+
+// Auto mode: withdraw from buckets in order until expense is covered.
+// `depleted` is true when all buckets together could not cover the expense.
+export function withdrawWaterfall(balances, expense) {
+  let remainingExpense = expense;
+  let autoBalances = [...balances];
+  for (let i = 0; i < autoBalances.length; i++) {
+    const take = Math.min(autoBalances[i], remainingExpense);
+    autoBalances[i] -= take;
+    remainingExpense -= take;
+    if (remainingExpense <= 0) break;
+  }
+  // If not enough in all buckets, set all to zero
+  const depleted = remainingExpense > 0;
+  if (depleted) {
+    autoBalances = autoBalances.map(() => 0);
+  }
+  return { balances: autoBalances, depleted };
+}
+
+// What each bucket paid out this year (expense, tax, or written off when depleted):
+// its fall in value from `before` to `after`, not counting refill moves between buckets
+export function withdrawalsByBucket(before, after, events = []) {
+  const withdrawn = before.map((b, i) => b - after[i]);
+  events.forEach(ev => {
+    if (ev.type !== "refill") return;
+    withdrawn[ev.from] -= ev.amount;
+    withdrawn[ev.to] += ev.amount;
+  });
+  return withdrawn;
+}
@@ -0,0 +1,124 @@
+// src/engine/xlsx.js
+// Minimal .xlsx writer: one or more sheets of numbers and text, stored in an
+// uncompressed zip with inline strings. Enough for Excel, LibreOffice and
+// Google Sheets to open the export without a spreadsheet library.
+
+const encoder = new TextEncoder();
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (const b of bytes) crc = CRC_TABLE[(crc ^ b) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Little-endian fields: [value, byte count]
+function fields(...items) {
+  const out = new Uint8Array(items.reduce((s, [, size]) => s + size, 0));
+  let pos = 0;
+  items.forEach(([value, size]) => {
+    for (let i = 0; i < size; i++) out[pos++] = (value >>> (8 * i)) & 0xFF;
+  });
+  return out;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((s, p) => s + p.length, 0));
+  let pos = 0;
+  parts.forEach(p => {
+    out.set(p, pos);
+    pos += p.length;
+  });
+  return out;
+}
+
+// Zip archive (no compression) of [{ path, text }]
+function zip(files) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+  files.forEach(({ path, text }) => {
+    const nameBytes = encoder.encode(path);
+    const data = encoder.encode(text);
+    const crc = crc32(data);
+    // version 2.0, no flags, stored, 1980-01-01 00:00
+    const common = [[20, 2], [0, 2], [0, 2], [0, 2], [0x21, 2], [crc, 4], [data.length, 4], [data.length, 4], [nameBytes.length, 2], [0, 2]];
+    const header = concat([fields([0x04034B50, 4], ...common), nameBytes]);
+    local.push(header, data);
+    central.push(concat([fields([0x02014B50, 4], [20, 2], ...common, [0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]), nameBytes]));
+    offset += header.length + data.length;
+  });
+  const directory = concat(central);
+  const end = fields([0x06054B50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2], [directory.length, 4], [offset, 4], [0, 2]);
+  return concat([...local, directory, end]);
+}
+
+const escapeXml = text => String(text)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+// Column letters for a 0-based index: 0 -> A, 26 -> AA
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+function sheetXml(rows) {
+  const body = rows.map((cells, r) => {
+    const xml = cells.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+      if (value === null || value === undefined || value === "") return "";
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join("");
+    return `<row r="${r + 1}">${xml}</row>`;
+  }).join("");
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${body}</sheetData></worksheet>`;
+}
+
+/**
+ * .xlsx file bytes for `sheets` ([{ name, rows }], rows being arrays of numbers
+ * and strings). Sheet names are cut to Excel's 31 characters.
+ */
+export function xlsxFile(sheets) {
+  const ns = "http://schemas.openxmlformats.org";
+  const rel = `${ns}/officeDocument/2006/relationships`;
+  const sheetEntries = sheets.map((s, i) =>
+    `<sheet name="${escapeXml(s.name.replace(/[[\]:*?/\\]/g, " ").slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("");
+  return zip([
+    {
+      path: "[Content_Types].xml",
+      text: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="${ns}/package/2006/content-types">`
+        + `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>`
+        + `<Default Extension="xml" ContentType="application/xml"/>`
+        + `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>`
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")
+        + `</Types>`
+    },
+    {
+      path: "_rels/.rels",
+      text: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="${ns}/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      path: "xl/workbook.xml",
+      text: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${rel}">`
+        + `<sheets>${sheetEntries}</sheets></workbook>`
+    },
+    {
+      path: "xl/_rels/workbook.xml.rels",
+      text: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="${ns}/package/2006/relationships">`
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${rel}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("")
+        + `</Relationships>`
+    },
+    ...sheets.map((s, i) => ({ path: `xl/worksheets/sheet${i + 1}.xml`, text: sheetXml(s.rows) }))
+  ]);
+}